@@ -6,6 +6,38 @@
 (function() {
     'use strict';
     
+    // 站点配置
+    const siteConfig = {
+        // 第三方表单服务地址（如 Formspree、Getform），为空时使用备用提交方式
+        formEndpoint: '',
+        // 未配置表单服务或提交失败时的备用方式：telegram 或 mailto
+        formFallback: 'telegram',
+        contactEmail: 'niuzivoice@protonmail.com',
+        telegramUsername: 'niuzivoice',
+        // 少于该秒数完成的提交视为机器人
+        minSubmitSeconds: 3,
+        // 统计数据的发送目标：gtag、endpoint（自建JSON接口）、console（仅调试模式）
+        analyticsSinks: ['gtag', 'endpoint', 'console'],
+        // Google Analytics 衡量ID，为空时不加载gtag
+        gaMeasurementId: '',
+        // 自建统计接口地址，为空时不发送
+        analyticsEndpoint: '',
+        // 采样率（0-1），按访客抽样
+        analyticsSampleRate: 1,
+        // 攒够该数量或等待该毫秒数后批量发送
+        analyticsBatchSize: 10,
+        analyticsFlushInterval: 5000,
+        // 错误报告接口地址，为空时不发送（调试模式下仍会输出到控制台）
+        errorEndpoint: '',
+        // 客服在线时间，按 supportTimeZone 的当地时间配置；days 为星期几，0 表示周日
+        // 修改后需同步更新首页结构化数据中的 hoursAvailable
+        supportTimeZone: 'Asia/Shanghai',
+        supportHours: [
+            { days: [1, 2, 3, 4, 5], start: '09:00', end: '23:00' },
+            { days: [0, 6], start: '10:00', end: '20:00' }
+        ]
+    };
+    
     // 工具函数
     const utils = {
         // 防抖函数
@@ -46,14 +78,970 @@
             );
         },
         
+        // 用户设置了减少动画时直接跳转，不做平滑滚动
+        scrollBehavior: function() {
+            return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
+        },
+        
         // 平滑滚动到元素
         smoothScrollTo: function(element, offset = 0) {
-            const targetPosition = element.offsetTop - offset;
+            const targetPosition = element.getBoundingClientRect().top + window.pageYOffset - offset;
             window.scrollTo({
                 top: targetPosition,
-                behavior: 'smooth'
+                behavior: utils.scrollBehavior()
+            });
+        },
+        
+        // 滚动到页内目标并把焦点移过去，键盘和读屏用户可以从目标处继续浏览
+        focusTarget: function(element, offset = 0) {
+            if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) {
+                element.setAttribute('tabindex', '-1');
+            }
+            utils.smoothScrollTo(element, offset);
+            element.focus({ preventScroll: true });
+        },
+        
+        // 地址中的锚点转为元素ID，编码不合法（如 #%E0%A4%A）时使用原文
+        hashId: function(hash) {
+            const id = hash.replace(/^#/, '');
+            try {
+                return decodeURIComponent(id);
+            } catch (error) {
+                return id;
+            }
+        },
+        
+        // 转义正则表达式特殊字符
+        escapeRegExp: function(string) {
+            return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        },
+        
+        // 转义HTML特殊字符，用于拼接模板中的用户输入
+        escapeHtml: function(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        },
+        
+        // 读写localStorage，隐私模式等不可用时静默失败
+        storage: {
+            get: function(key, fallback = null) {
+                try {
+                    const value = localStorage.getItem(key);
+                    return value === null ? fallback : JSON.parse(value);
+                } catch (error) {
+                    return fallback;
+                }
+            },
+            
+            // 返回是否保存成功，如超出存储配额时返回 false
+            set: function(key, value) {
+                try {
+                    localStorage.setItem(key, JSON.stringify(value));
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            
+            remove: function(key) {
+                try {
+                    localStorage.removeItem(key);
+                } catch (error) {
+                    // 忽略存储失败
+                }
+            }
+        },
+        
+        // 复制文本到剪贴板，不支持时返回被拒绝的 Promise
+        copyText: function(text) {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                return navigator.clipboard.writeText(text);
+            }
+            return Promise.reject(new Error('Clipboard API unavailable'));
+        },
+        
+        // 地址带 ?debug=1 或本地存储了 debug 时为调试模式
+        isDebug: function() {
+            return new URLSearchParams(window.location.search).get('debug') === '1' || utils.storage.get('debug') === true;
+        },
+        
+        // 站点根目录下资源的完整地址（英文页面位于子目录中，不能直接用相对路径）
+        siteUrl: function(path) {
+            const script = document.querySelector('script[src*="assets/js/main.js"]');
+            return new URL(path, script ? new URL('../../', script.src) : window.location.href).href;
+        },
+        
+        // 计算两个字符串的编辑距离
+        levenshtein: function(a, b) {
+            if (a === b) return 0;
+            if (!a.length) return b.length;
+            if (!b.length) return a.length;
+            
+            let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                }
+                previous = current;
+            }
+            return previous[b.length];
+        },
+        
+        // 某时刻在指定时区的星期和时间
+        localTime: function(date, zone) {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(date).forEach(part => {
+                parts[part.type] = part.value;
+            });
+            
+            const hour = parseInt(parts.hour, 10) % 24;
+            const minute = parseInt(parts.minute, 10);
+            return {
+                day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+                minutes: hour * 60 + minute,
+                text: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+            };
+        },
+        
+        // "HH:MM" 转为当天的分钟数，格式不对时返回 null
+        toMinutes: function(value) {
+            const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+            return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+        }
+    };
+    
+    // 调试模式：?debug=1 开启并记住，?debug=0 关闭；只有调试模式才向控制台输出日志
+    const Debug = {
+        storageKey: 'debug',
+        enabled: false,
+        
+        init: function() {
+            const param = new URLSearchParams(window.location.search).get('debug');
+            if (param === '1') {
+                utils.storage.set(this.storageKey, true);
+            } else if (param === '0') {
+                utils.storage.remove(this.storageKey);
+            }
+            this.enabled = utils.isDebug();
+        },
+        
+        log: function(...args) {
+            if (this.enabled) console.log(...args);
+        },
+        
+        warn: function(...args) {
+            if (this.enabled) console.warn(...args);
+        },
+        
+        error: function(...args) {
+            if (this.enabled) console.error(...args);
+        }
+    };
+    
+    // 多语言：页面语言取自<html lang>，英文页面位于 /en/ 目录下
+    const I18n = {
+        storageKey: 'language',
+        defaultLanguage: 'zh-CN',
+        lang: /^en\b/i.test(document.documentElement.lang) ? 'en' : 'zh-CN',
+        
+        // 文案目录，{name} 为占位符；需要处理单复数时可以使用函数
+        messages: {
+            'zh-CN': {
+                'list.separator': '、',
+                'list.or': '或',
+                'label.separator': '：',
+                
+                'price.verification': '验证码短信',
+                'price.marketing': '营销短信',
+                'price.voice': '语音价格',
+                'unit.sms': '条',
+                'unit.minute': '分钟',
+                'price.perMessage': '{amount}/条',
+                'price.perMinute': '{amount}/分钟',
+                'price.loadFailed': '价格数据加载失败: {status}',
+                
+                'currency.label': '显示币种',
+                'currency.USD': '美元 USD',
+                'currency.CNY': '人民币 CNY',
+                'currency.EUR': '欧元 EUR',
+                'currency.USDT': '泰达币 USDT',
+                'currency.note': '按 {date} 汇率折算，仅供参考，实际以美元结算',
+                'currency.base': '价格以美元计价，实际以美元结算',
+                'currency.loadFailed': '汇率数据加载失败，暂时只能以美元显示',
+                
+                'pricing.allRegions': '全部地区',
+                'pricing.searchPlaceholder': '搜索国家、英文名、国家代码或区号，如 越南 / Vietnam / VN / +84',
+                'pricing.searchLabel': '搜索国家或地区',
+                'pricing.limitLabel': '显示数量',
+                'pricing.limitAll': '显示全部',
+                'pricing.limitTop': '前{count}个',
+                'pricing.notFound': '未找到“{query}”，请联系客服获取该国家的报价',
+                'pricing.found': '在 {count} 个地区中找到匹配的国家',
+                
+                'composer.encodingGsm': 'GSM-7（英文）',
+                'composer.encodingUcs': 'UCS-2（中文/表情）',
+                'composer.chars': '{count} 字符',
+                'composer.segments': '{count} 条',
+                'composer.missing': '未定义的变量：{names}，发送时将原样显示。',
+                'composer.unsupported': '以下字符不在GSM-7字符集中，短信将按UCS-2编码计费（每条{limit}字符）：',
+                'composer.replaceable': '<code></code> 可替换为 <code></code>',
+                'composer.irreplaceable': '{sample}{more}（中文、表情等无法替换）',
+                'composer.more': ' 等',
+                'composer.fix': '一键替换可替换字符',
+                'composer.part': '第 {index}/{total} 条 · {units}/{limit} 字符',
+                
+                'estimator.loadFailed': '价格数据加载失败，请刷新页面后重试',
+                'estimator.minutesPerNumber': '每个号码通话分钟数',
+                'estimator.messagesPerNumber': '每个号码条数',
+                'estimator.readFailed': '文件读取失败，请确认文件为CSV或TXT格式',
+                'estimator.notReady': '价格数据尚未加载完成，请稍后重试',
+                'estimator.noNumbers': '未找到号码，请上传包含号码的文件或在文本框中粘贴号码',
+                'estimator.summary': '共 <strong>{total}</strong> 个号码，有效 <strong>{valid}</strong> 个，无效 <strong>{invalid}</strong> 个，重复 <strong>{duplicate}</strong> 个，暂无报价 <strong>{unpriced}</strong> 个',
+                'estimator.country': '国家/地区',
+                'estimator.callingCode': '区号',
+                'estimator.numbers': '号码数',
+                'estimator.unitPrice': '单价（{label}）',
+                'estimator.units': '计费数量',
+                'estimator.subtotal': '小计',
+                'estimator.total': '预估总费用',
+                'estimator.download': '下载CSV报告',
+                'estimator.csv.service': '计费类型',
+                'estimator.csv.quantity': '每号码数量',
+                'estimator.csv.unitPrice': '单价(USD)',
+                'estimator.csv.subtotal': '小计(USD)',
+                'estimator.csv.sum': '合计',
+                'estimator.csv.raw': '原始号码',
+                'estimator.csv.status': '状态',
+                'estimator.csv.note': '说明',
+                'estimator.status.valid': '有效',
+                'estimator.status.invalid': '无效号码',
+                'estimator.status.duplicate': '重复号码',
+                'estimator.status.unpriced': '暂无报价',
+                
+                'faq.empty': '<p>没有找到与“<strong class="faq-empty-query"></strong>”相关的问题。</p><p>请尝试其他关键词，或通过 <a href="https://t.me/niuzivoice" target="_blank" rel="noopener noreferrer">Telegram @niuzivoice</a> 直接咨询我们的客服团队。</p>',
+                'faq.found': '找到 {count} 个相关问题',
+                
+                'accordion.expandAll': '全部展开',
+                'accordion.collapseAll': '全部收起',
+                'accordion.copyLink': '复制链接',
+                'accordion.copied': '链接已复制',
+                'accordion.copyFailed': '复制失败，请手动复制地址栏中的链接',
+                
+                'phone.invalidChars': '电话号码只能包含数字、空格、括号、+ 和 -',
+                'phone.invalid': '请输入有效的电话号码',
+                'phone.unknownCode': '无法识别的国家区号 +{code}',
+                'phone.needCode': '请输入带国家区号的号码，如 +84 912 345 678',
+                'phone.length': '{country}号码应为{lengths}位',
+                
+                'validation.required': '此字段为必填项',
+                'validation.email': '请输入有效的邮箱地址',
+                'validation.tel': '请输入有效的电话号码',
+                'validation.number': '请输入数字',
+                'validation.minlength': '至少需要输入{min}个字符',
+                'validation.maxlength': '最多只能输入{max}个字符',
+                'validation.min': '不能小于{min}',
+                'validation.max': '不能大于{max}',
+                'validation.pattern': '格式不正确',
+                'validation.match': '两次输入的内容不一致',
+                'validation.remote': '校验未通过',
+                
+                'form.errorSummary': '请修正以下 {count} 个问题：',
+                'form.mailSubject': '网站咨询 - {title}',
+                'form.enquiryFrom': '来自 {url} 的咨询',
+                'form.submitFailed': '提交失败: {status}',
+                'form.submitting': '提交中...',
+                'form.success': '表单提交成功！',
+                'form.tooFast': '提交过快，请稍候再试',
+                'form.offlineSaved': '当前网络不可用，表单已保存，联网后将自动提交',
+                'form.connectionLost': '网络连接中断，表单已保存，联网后将自动提交',
+                'form.telegramOpened': '已为您打开Telegram，发送消息即可完成提交',
+                'form.mailOpened': '已为您打开邮件客户端，发送邮件即可完成提交',
+                'form.queueSent': '已自动提交 {count} 份离线保存的表单',
+                
+                'consent.title': '我们重视您的隐私',
+                'consent.message': '我们使用必要的Cookie保证网站正常运行；经您同意后，还会使用统计和营销Cookie改进服务。详见',
+                'consent.policy': '隐私政策',
+                'consent.acceptAll': '全部接受',
+                'consent.rejectAll': '仅必要',
+                'consent.customize': '自定义设置',
+                'consent.save': '保存设置',
+                'consent.close': '关闭',
+                'consent.dialogTitle': 'Cookie偏好设置',
+                'consent.dialogIntro': '您可以随时在隐私政策页面修改这些设置或撤回同意。',
+                'consent.necessary': '必要',
+                'consent.necessaryDescription': '保证网站基本功能，如语言偏好和表单草稿，始终开启。',
+                'consent.analytics': '统计分析',
+                'consent.analyticsDescription': '帮助我们了解页面性能和访问情况，如 Google Analytics、页面性能指标和错误报告。',
+                'consent.marketing': '营销',
+                'consent.marketingDescription': '用于衡量广告效果和展示个性化的推广内容。',
+                
+                'playground.invalidJson': '模板变量必须是 JSON 对象，例如 {"code": "382941"}',
+                'playground.sending': '正在请求模拟接口…',
+                'playground.failed': '请求失败：{message}',
+                'playground.copied': '代码已复制',
+                'playground.copyFailed': '复制失败，请手动选中代码复制',
+                
+                'webcall.title': '网页通话演示',
+                'webcall.signalling': '信令服务',
+                'webcall.mock': '内置模拟服务',
+                'webcall.sip': 'SIP 服务器（WebSocket）',
+                'webcall.server': 'WebSocket 地址',
+                'webcall.number': '呼叫号码',
+                'webcall.numberPlaceholder': '输入号码或分机号',
+                'webcall.keypad': '拨号键盘',
+                'webcall.duration': '通话时长',
+                'webcall.level': '麦克风音量',
+                'webcall.call': '呼叫',
+                'webcall.mute': '静音',
+                'webcall.hold': '保持',
+                'webcall.hangup': '挂断',
+                'webcall.mockHint': '模拟模式不会拨打真实电话：号码以 486 结尾模拟占线，以 404 结尾模拟空号，以 480 结尾模拟无人接听，其余号码振铃后接通。',
+                'webcall.state.idle': '空闲',
+                'webcall.state.dialing': '正在呼叫…',
+                'webcall.state.ringing': '对方振铃中…',
+                'webcall.state.in-call': '通话中',
+                'webcall.state.ended': '通话已结束',
+                'webcall.micPrompt': '正在请求麦克风权限…',
+                'webcall.connecting': '正在连接信令服务器…',
+                'webcall.held': '通话已保持',
+                'webcall.dtmf': '已发送按键：{digits}',
+                'webcall.error.number': '请输入有效的号码（3-20 位数字）',
+                'webcall.error.insecure': '网页通话需要在 HTTPS 页面中使用。',
+                'webcall.error.unsupported': '当前浏览器不支持网页通话，请使用最新版 Chrome、Edge、Firefox 或 Safari。',
+                'webcall.error.server': '请输入以 ws:// 或 wss:// 开头的信令服务器地址',
+                'webcall.error.micDenied': '麦克风权限被拒绝。请在浏览器地址栏的网站设置中允许使用麦克风，然后重新呼叫。',
+                'webcall.error.micMissing': '没有检测到可用的麦克风，请连接麦克风后重试。',
+                'webcall.error.micFailed': '无法打开麦克风，它可能正被其他应用占用。',
+                'webcall.error.unreachable': '无法连接信令服务器 {url}，请检查地址以及服务器是否已启动。',
+                'webcall.error.disconnected': '与信令服务器的连接已断开，通话已结束。',
+                'webcall.error.busy': '对方忙线中，请稍后再拨。',
+                'webcall.error.notFound': '号码不存在或无法接通。',
+                'webcall.error.noAnswer': '对方无人接听。',
+                'webcall.error.auth': '信令服务器要求身份认证，演示组件暂不支持，请在测试服务器上允许匿名呼叫。',
+                'webcall.error.failed': '呼叫失败（{status}）。',
+                'webcall.error.media': '无法建立语音连接，请稍后重试。',
+                'webcall.error.hold': '保持通话失败，请重试。',
+                
+                'flow.type.prompt': '语音提示',
+                'flow.type.menu': '按键菜单',
+                'flow.type.transfer': '转人工',
+                'flow.type.hangup': '挂机',
+                'flow.example.name': '订单发货通知',
+                'flow.example.welcomeLabel': '问候',
+                'flow.example.welcome': '您好{name}，您的订单{order}已经发货，预计明天送达。',
+                'flow.example.menuLabel': '确认菜单',
+                'flow.example.menu': '确认收货信息请按1，转人工客服请按2，重听请按9。',
+                'flow.example.agentLabel': '人工客服',
+                'flow.example.thanksLabel': '结束语',
+                'flow.example.thanks': '感谢您的接听，再见。',
+                'flow.edge.start': '开始',
+                'flow.edge.next': '播放后',
+                'flow.edge.digit': '按 {digit}',
+                'flow.edge.fallback': '无输入或输入错误',
+                'flow.error.empty': '流程中还没有节点',
+                'flow.error.start': '请选择起始节点',
+                'flow.error.noTarget': '「{node}」的“{edge}”还没有选择跳转节点',
+                'flow.error.missingTarget': '「{node}」的“{edge}”跳转的节点 {target} 已不存在',
+                'flow.error.noRecording': '「{node}」还没有上传录音',
+                'flow.error.noText': '「{node}」的播报内容不能为空',
+                'flow.error.noOptions': '「{node}」至少需要一个按键选项',
+                'flow.error.duplicateDigit': '「{node}」中按键 {digit} 重复',
+                'flow.error.menuLimits': '「{node}」的等待时间应为 1-30 秒，重复次数应为 0-5 次',
+                'flow.error.transferNumber': '「{node}」的转接号码无效，请使用带国家区号的号码，如 +8613800138000',
+                'flow.error.missingVariable': '「{node}」使用了变量 {{variable}}，但号码列表中没有这一列',
+                'flow.error.window': '呼叫时段的开始时间必须早于结束时间',
+                'flow.error.days': '请至少选择一个允许呼叫的日期',
+                'flow.error.schedulePast': '计划发送时间已经过去',
+                'flow.error.retry': '重试次数应为 0-5 次，重试间隔应为 5-1440 分钟',
+                'flow.error.retryReasons': '请选择需要重试的情况',
+                'flow.warning.unreachable': '「{node}」无法从起始节点到达，不会被播放',
+                'flow.warning.noNext': '「{node}」播放后没有后续步骤，将直接挂机',
+                'flow.warning.noRecipients': '添加号码列表后才能检查变量和收件人当地的呼叫时段',
+                'flow.warning.invalidNumber': '号码列表第 {line} 行：{reason}',
+                'flow.warning.emptyVariable': '号码列表第 {line} 行缺少变量 {variables} 的值',
+                'flow.warning.outsideHours': '{country}（{count} 个号码）{moment}时当地时间为 {time}（{zone}），不在允许的呼叫时段内',
+                'flow.moment.first': '首次呼叫',
+                'flow.moment.lastRetry': '最后一次重试',
+                'flow.day.0': '周日',
+                'flow.day.1': '周一',
+                'flow.day.2': '周二',
+                'flow.day.3': '周三',
+                'flow.day.4': '周四',
+                'flow.day.5': '周五',
+                'flow.day.6': '周六',
+                'flow.import.invalidJson': '导入失败：文件不是有效的 JSON',
+                'flow.import.invalidFormat': '导入失败：文件不是群呼流程',
+                'flow.import.newerVersion': '导入失败：流程文件的版本比当前设计器新，请刷新页面后重试',
+                'flow.import.invalidNode': '导入失败：流程中包含无法识别的节点',
+                'flow.import.duplicateId': '导入失败：流程中有多个 id 为「{id}」的节点',
+                'flow.import.done': '已导入流程「{name}」',
+                'flow.import.readFailed': '读取文件失败，请重试',
+                'flow.recording.type': '请上传音频文件，如 MP3 或 WAV',
+                'flow.recording.size': '录音文件不能超过 {size}MB',
+                'flow.recording.failed': '读取录音失败，请重试',
+                'flow.draftWithoutRecordings': '浏览器存储空间不足，自动保存的草稿中不含录音，请及时导出流程',
+                'flow.recording.remove': '移除录音',
+                'flow.target': '跳转到',
+                'flow.target.end': '结束（挂机）',
+                'flow.target.choose': '请选择',
+                'flow.target.missing': '已删除的节点 {id}',
+                'flow.ttsHint': '使用 {变量名} 插入号码列表中的对应列，如 {name}',
+                'flow.source': '语音来源',
+                'flow.source.tts': '文字转语音',
+                'flow.source.recording': '上传录音',
+                'flow.text': '播报内容',
+                'flow.recording': '录音文件',
+                'flow.next': '播放后跳转到',
+                'flow.menuText': '菜单提示语',
+                'flow.options': '按键选项',
+                'flow.digit': '按键',
+                'flow.removeOption': '删除按键 {digit}',
+                'flow.addOption': '+ 添加按键',
+                'flow.timeout': '等待按键（秒）',
+                'flow.menuRetries': '无效时重复次数',
+                'flow.fallback': '无输入或输入错误时跳转到',
+                'flow.transferNumber': '转接号码',
+                'flow.closing': '挂机前播报（可选）',
+                'flow.label': '节点名称',
+                'flow.removeNode': '删除节点「{node}」',
+                'flow.remove': '删除',
+                'flow.summary': '{errors} 个错误，{warnings} 个提示',
+                'flow.valid': '流程检查通过',
+                'flow.preview.node': '{type}：{name}',
+                'flow.preview.transfer': '转接到 {number}',
+                'flow.preview.recording': '播放录音 {name}',
+                'flow.preview.unreachable': '未连接：{node}',
+                'flow.export.blocked': '请先修正 {errors} 个错误再导出',
+                'flow.export.done': '流程已导出，请将 JSON 文件发送给我们的客服',
+                'flow.resetConfirm': '确定要放弃当前流程并恢复示例吗？',
+                
+                'theme.label': '主题：{mode}（点击切换）',
+                'theme.auto': '跟随系统',
+                'theme.light': '浅色',
+                'theme.dark': '深色',
+                
+                'offline.notice': '当前处于离线状态，显示的价格可能不是最新的',
+                'update.available': '网站有新版本可用',
+                'update.reload': '刷新',
+                
+                'menu.open': '打开移动菜单',
+                'menu.close': '关闭移动菜单',
+                
+                'backToTop': '返回顶部',
+                
+                'support.open': '联系客服',
+                'support.title': '联系客服',
+                'support.close': '关闭客服窗口',
+                'support.online': '客服在线，{time} 下线',
+                'support.offline': '客服已下线，预计 {time} 上线，可以先留言',
+                'support.hoursTitle': '客服时间（按您的当地时间 {zone}）',
+                'support.service': '咨询业务',
+                'support.service.sms': '国际短信',
+                'support.service.voice': '国际语音',
+                'support.service.group-call': '语音群呼',
+                'support.service.web-call': '语音外呼',
+                'support.countries': '目标国家/地区',
+                'support.countriesPlaceholder': '如 越南、印度尼西亚',
+                'support.countriesRequired': '请填写目标国家或地区',
+                'support.volume': '每月用量',
+                'support.volume.small': '1万以下',
+                'support.volume.medium': '1万 - 10万',
+                'support.volume.large': '10万 - 100万',
+                'support.volume.huge': '100万以上',
+                'support.telegram': '通过 Telegram 发送',
+                'support.email': '通过邮件发送',
+                'support.summary': '客服咨询（来自 {url}）',
+                'support.recent': '最近的咨询',
+                'support.reuse': '重新填写',
+                'support.clear': '清除记录'
+            },
+            en: {
+                'list.separator': ', ',
+                'list.or': ' or ',
+                'label.separator': ': ',
+                
+                'price.verification': 'Verification SMS',
+                'price.marketing': 'Marketing SMS',
+                'price.voice': 'Voice',
+                'unit.sms': 'SMS',
+                'unit.minute': 'min',
+                'price.perMessage': '{amount} per message',
+                'price.perMinute': '{amount} per minute',
+                'price.loadFailed': 'Failed to load pricing data: {status}',
+                
+                'currency.label': 'Currency',
+                'currency.USD': 'US dollar (USD)',
+                'currency.CNY': 'Chinese yuan (CNY)',
+                'currency.EUR': 'Euro (EUR)',
+                'currency.USDT': 'Tether (USDT)',
+                'currency.note': 'Converted at rates from {date} for reference only; billing is in USD',
+                'currency.base': 'Prices and billing are in USD',
+                'currency.loadFailed': 'Exchange rates could not be loaded, so prices are shown in USD',
+                
+                'pricing.allRegions': 'All regions',
+                'pricing.searchPlaceholder': 'Search by country, ISO code or calling code, e.g. Vietnam / VN / +84',
+                'pricing.searchLabel': 'Search countries or regions',
+                'pricing.limitLabel': 'Rows to show',
+                'pricing.limitAll': 'Show all',
+                'pricing.limitTop': 'Top {count}',
+                'pricing.notFound': 'No match for “{query}”. Contact us for a quote for that country.',
+                'pricing.found': ({ count }) => `Matching countries found in ${count} region${count === 1 ? '' : 's'}`,
+                
+                'composer.encodingGsm': 'GSM-7 (Latin)',
+                'composer.encodingUcs': 'UCS-2 (Chinese/emoji)',
+                'composer.chars': ({ count }) => `${count} character${count === 1 ? '' : 's'}`,
+                'composer.segments': ({ count }) => `${count} message${count === 1 ? '' : 's'}`,
+                'composer.missing': 'Undefined variables: {names}. They will be sent as written.',
+                'composer.unsupported': 'These characters are not in the GSM-7 character set, so the message will be billed as UCS-2 ({limit} characters per SMS):',
+                'composer.replaceable': '<code></code> can be replaced with <code></code>',
+                'composer.irreplaceable': '{sample}{more} (Chinese characters, emoji and similar cannot be replaced)',
+                'composer.more': ' and more',
+                'composer.fix': 'Replace all replaceable characters',
+                'composer.part': 'Part {index}/{total} · {units}/{limit} characters',
+                
+                'estimator.loadFailed': 'Failed to load pricing data. Please refresh the page and try again.',
+                'estimator.minutesPerNumber': 'Call minutes per number',
+                'estimator.messagesPerNumber': 'Messages per number',
+                'estimator.readFailed': 'Could not read the file. Please upload a CSV or TXT file.',
+                'estimator.notReady': 'Pricing data is still loading. Please try again in a moment.',
+                'estimator.noNumbers': 'No phone numbers found. Upload a file containing numbers or paste them into the text box.',
+                'estimator.summary': '<strong>{total}</strong> numbers in total: <strong>{valid}</strong> valid, <strong>{invalid}</strong> invalid, <strong>{duplicate}</strong> duplicates, <strong>{unpriced}</strong> without a rate',
+                'estimator.country': 'Country / Region',
+                'estimator.callingCode': 'Calling code',
+                'estimator.numbers': 'Numbers',
+                'estimator.unitPrice': 'Unit price ({label})',
+                'estimator.units': 'Billable units',
+                'estimator.subtotal': 'Subtotal',
+                'estimator.total': 'Estimated total',
+                'estimator.download': 'Download CSV report',
+                'estimator.csv.service': 'Service',
+                'estimator.csv.quantity': 'Quantity per number',
+                'estimator.csv.unitPrice': 'Unit price (USD)',
+                'estimator.csv.subtotal': 'Subtotal (USD)',
+                'estimator.csv.sum': 'Total',
+                'estimator.csv.raw': 'Original number',
+                'estimator.csv.status': 'Status',
+                'estimator.csv.note': 'Note',
+                'estimator.status.valid': 'Valid',
+                'estimator.status.invalid': 'Invalid number',
+                'estimator.status.duplicate': 'Duplicate',
+                'estimator.status.unpriced': 'No rate available',
+                
+                'faq.empty': '<p>No questions found for “<strong class="faq-empty-query"></strong>”.</p><p>Try different keywords, or message our support team directly on <a href="https://t.me/niuzivoice" target="_blank" rel="noopener noreferrer">Telegram @niuzivoice</a>.</p>',
+                'faq.found': ({ count }) => `${count} matching question${count === 1 ? '' : 's'}`,
+                
+                'accordion.expandAll': 'Expand all',
+                'accordion.collapseAll': 'Collapse all',
+                'accordion.copyLink': 'Copy link',
+                'accordion.copied': 'Link copied',
+                'accordion.copyFailed': 'Could not copy. Please copy the link from the address bar.',
+                
+                'phone.invalidChars': 'Phone numbers may only contain digits, spaces, brackets, + and -',
+                'phone.invalid': 'Please enter a valid phone number',
+                'phone.unknownCode': 'Unrecognised country code +{code}',
+                'phone.needCode': 'Please include the country code, e.g. +84 912 345 678',
+                'phone.length': '{country} numbers should have {lengths} digits',
+                
+                'validation.required': 'This field is required',
+                'validation.email': 'Please enter a valid email address',
+                'validation.tel': 'Please enter a valid phone number',
+                'validation.number': 'Please enter a number',
+                'validation.minlength': 'Please enter at least {min} characters',
+                'validation.maxlength': 'Please enter no more than {max} characters',
+                'validation.min': 'Must be {min} or more',
+                'validation.max': 'Must be {max} or less',
+                'validation.pattern': 'Please match the requested format',
+                'validation.match': 'The values do not match',
+                'validation.remote': 'This value is not accepted',
+                
+                'form.errorSummary': ({ count }) => `Please fix ${count} problem${count === 1 ? '' : 's'}:`,
+                'form.mailSubject': 'Website enquiry - {title}',
+                'form.enquiryFrom': 'Enquiry from {url}',
+                'form.submitFailed': 'Submission failed: {status}',
+                'form.submitting': 'Sending...',
+                'form.success': 'Thank you, your message has been sent!',
+                'form.tooFast': 'That was a little quick. Please wait a moment and try again.',
+                'form.offlineSaved': 'You are offline. The form has been saved and will be sent when you reconnect.',
+                'form.connectionLost': 'The connection was lost. The form has been saved and will be sent when you reconnect.',
+                'form.telegramOpened': 'Telegram has been opened. Send the message to complete your enquiry.',
+                'form.mailOpened': 'Your email app has been opened. Send the email to complete your enquiry.',
+                'form.queueSent': ({ count }) => `${count} saved form${count === 1 ? ' was' : 's were'} sent automatically`,
+                
+                'consent.title': 'We value your privacy',
+                'consent.message': 'We use necessary cookies to keep the site working and, with your consent, analytics and marketing cookies to improve our services. See our ',
+                'consent.policy': 'privacy policy',
+                'consent.acceptAll': 'Accept all',
+                'consent.rejectAll': 'Necessary only',
+                'consent.customize': 'Customize',
+                'consent.save': 'Save preferences',
+                'consent.close': 'Close',
+                'consent.dialogTitle': 'Cookie preferences',
+                'consent.dialogIntro': 'You can change these settings or withdraw consent at any time from our privacy policy page.',
+                'consent.necessary': 'Necessary',
+                'consent.necessaryDescription': 'Required for basic features such as your language preference and form drafts. Always on.',
+                'consent.analytics': 'Analytics',
+                'consent.analyticsDescription': 'Helps us understand site performance and usage, such as Google Analytics, page performance metrics and error reports.',
+                'consent.marketing': 'Marketing',
+                'consent.marketingDescription': 'Used to measure advertising performance and show personalised promotions.',
+                
+                'playground.invalidJson': 'Template variables must be a JSON object, e.g. {"code": "382941"}',
+                'playground.sending': 'Calling the mock API…',
+                'playground.failed': 'Request failed: {message}',
+                'playground.copied': 'Code copied',
+                'playground.copyFailed': 'Could not copy. Please select the code and copy it manually.',
+                
+                'webcall.title': 'Web call demo',
+                'webcall.signalling': 'Signalling',
+                'webcall.mock': 'Built-in mock',
+                'webcall.sip': 'SIP server (WebSocket)',
+                'webcall.server': 'WebSocket URL',
+                'webcall.number': 'Number to call',
+                'webcall.numberPlaceholder': 'Enter a number or extension',
+                'webcall.keypad': 'Dial pad',
+                'webcall.duration': 'Call duration',
+                'webcall.level': 'Microphone level',
+                'webcall.call': 'Call',
+                'webcall.mute': 'Mute',
+                'webcall.hold': 'Hold',
+                'webcall.hangup': 'Hang up',
+                'webcall.mockHint': 'Mock mode never places a real call: numbers ending in 486 simulate a busy line, 404 an unknown number and 480 no answer. Any other number rings and then answers.',
+                'webcall.state.idle': 'Idle',
+                'webcall.state.dialing': 'Calling…',
+                'webcall.state.ringing': 'Ringing…',
+                'webcall.state.in-call': 'In call',
+                'webcall.state.ended': 'Call ended',
+                'webcall.micPrompt': 'Requesting microphone access…',
+                'webcall.connecting': 'Connecting to the signalling server…',
+                'webcall.held': 'Call on hold',
+                'webcall.dtmf': 'Keys sent: {digits}',
+                'webcall.error.number': 'Please enter a valid number (3-20 digits)',
+                'webcall.error.insecure': 'Web calls only work on HTTPS pages.',
+                'webcall.error.unsupported': 'This browser does not support web calls. Please use the latest Chrome, Edge, Firefox or Safari.',
+                'webcall.error.server': 'Please enter a signalling server URL starting with ws:// or wss://',
+                'webcall.error.micDenied': 'Microphone access was denied. Allow the microphone in your browser\'s site settings, then call again.',
+                'webcall.error.micMissing': 'No microphone was found. Connect one and try again.',
+                'webcall.error.micFailed': 'The microphone could not be opened. Another application may be using it.',
+                'webcall.error.unreachable': 'Could not reach the signalling server {url}. Check the URL and that the server is running.',
+                'webcall.error.disconnected': 'The connection to the signalling server was lost and the call has ended.',
+                'webcall.error.busy': 'The line is busy. Please try again later.',
+                'webcall.error.notFound': 'The number does not exist or cannot be reached.',
+                'webcall.error.noAnswer': 'There was no answer.',
+                'webcall.error.auth': 'The signalling server requires authentication, which this demo does not support. Allow anonymous calls on your test server.',
+                'webcall.error.failed': 'The call failed ({status}).',
+                'webcall.error.media': 'Could not establish the audio connection. Please try again later.',
+                'webcall.error.hold': 'Could not change the hold state. Please try again.',
+                
+                'flow.type.prompt': 'Prompt',
+                'flow.type.menu': 'Keypress menu',
+                'flow.type.transfer': 'Transfer',
+                'flow.type.hangup': 'Hang up',
+                'flow.example.name': 'Order shipped notice',
+                'flow.example.welcomeLabel': 'Greeting',
+                'flow.example.welcome': 'Hello {name}, your order {order} has shipped and should arrive tomorrow.',
+                'flow.example.menuLabel': 'Confirmation menu',
+                'flow.example.menu': 'Press 1 to confirm your delivery details, 2 to speak to an agent or 9 to hear this again.',
+                'flow.example.agentLabel': 'Agent',
+                'flow.example.thanksLabel': 'Goodbye',
+                'flow.example.thanks': 'Thank you for your time. Goodbye.',
+                'flow.edge.start': 'Start',
+                'flow.edge.next': 'Then',
+                'flow.edge.digit': 'Press {digit}',
+                'flow.edge.fallback': 'No or invalid input',
+                'flow.error.empty': 'The flow has no steps yet',
+                'flow.error.start': 'Please choose the first step',
+                'flow.error.noTarget': '"{node}": choose where "{edge}" goes',
+                'flow.error.missingTarget': '"{node}": "{edge}" goes to step {target}, which no longer exists',
+                'flow.error.noRecording': '"{node}" has no recording yet',
+                'flow.error.noText': '"{node}" needs some text to read out',
+                'flow.error.noOptions': '"{node}" needs at least one key option',
+                'flow.error.duplicateDigit': '"{node}" uses key {digit} more than once',
+                'flow.error.menuLimits': '"{node}": the wait must be 1-30 seconds and repeats 0-5',
+                'flow.error.transferNumber': '"{node}" has an invalid transfer number. Include the country code, e.g. +8613800138000',
+                'flow.error.missingVariable': '"{node}" uses the variable {{variable}}, but the recipient list has no such column',
+                'flow.error.window': 'The calling window must start before it ends',
+                'flow.error.days': 'Please allow calls on at least one day',
+                'flow.error.schedulePast': 'The scheduled send time is in the past',
+                'flow.error.retry': 'Retries must be 0-5 with an interval of 5-1440 minutes',
+                'flow.error.retryReasons': 'Please choose when to retry',
+                'flow.warning.unreachable': '"{node}" cannot be reached from the first step and will never play',
+                'flow.warning.noNext': '"{node}" has no next step, so the call hangs up after it',
+                'flow.warning.noRecipients': 'Add a recipient list to check variables and local calling hours',
+                'flow.warning.invalidNumber': 'Recipient list line {line}: {reason}',
+                'flow.warning.emptyVariable': 'Recipient list line {line} has no value for {variables}',
+                'flow.warning.outsideHours': '{country} (recipients: {count}): at the {moment} it is {time} local time ({zone}), outside the calling window',
+                'flow.moment.first': 'first attempt',
+                'flow.moment.lastRetry': 'last retry',
+                'flow.day.0': 'Sun',
+                'flow.day.1': 'Mon',
+                'flow.day.2': 'Tue',
+                'flow.day.3': 'Wed',
+                'flow.day.4': 'Thu',
+                'flow.day.5': 'Fri',
+                'flow.day.6': 'Sat',
+                'flow.import.invalidJson': 'Import failed: the file is not valid JSON',
+                'flow.import.invalidFormat': 'Import failed: the file is not a broadcast flow',
+                'flow.import.newerVersion': 'Import failed: the file was made with a newer designer. Reload the page and try again',
+                'flow.import.invalidNode': 'Import failed: the flow contains an unknown step',
+                'flow.import.duplicateId': 'Import failed: more than one step has the id "{id}"',
+                'flow.import.done': 'Imported "{name}"',
+                'flow.import.readFailed': 'Could not read the file. Please try again',
+                'flow.recording.type': 'Please upload an audio file such as MP3 or WAV',
+                'flow.recording.size': 'Recordings must be {size} MB or smaller',
+                'flow.recording.failed': 'Could not read the recording. Please try again',
+                'flow.draftWithoutRecordings': 'Browser storage is full, so the autosaved draft leaves out recordings. Export the flow to keep them',
+                'flow.recording.remove': 'Remove recording',
+                'flow.target': 'Go to',
+                'flow.target.end': 'End (hang up)',
+                'flow.target.choose': 'Choose…',
+                'flow.target.missing': 'Deleted step {id}',
+                'flow.ttsHint': 'Use {column} to insert a column from the recipient list, e.g. {name}',
+                'flow.source': 'Audio',
+                'flow.source.tts': 'Text to speech',
+                'flow.source.recording': 'Upload a recording',
+                'flow.text': 'Text to read',
+                'flow.recording': 'Recording',
+                'flow.next': 'Then go to',
+                'flow.menuText': 'Menu prompt',
+                'flow.options': 'Key options',
+                'flow.digit': 'Key',
+                'flow.removeOption': 'Remove key {digit}',
+                'flow.addOption': '+ Add key',
+                'flow.timeout': 'Wait for a key (seconds)',
+                'flow.menuRetries': 'Repeats on invalid input',
+                'flow.fallback': 'On no or invalid input go to',
+                'flow.transferNumber': 'Transfer to',
+                'flow.closing': 'Message before hanging up (optional)',
+                'flow.label': 'Step name',
+                'flow.removeNode': 'Remove step "{node}"',
+                'flow.remove': 'Remove',
+                'flow.summary': 'Errors: {errors}, warnings: {warnings}',
+                'flow.valid': 'The flow passed all checks',
+                'flow.preview.node': '{type}: {name}',
+                'flow.preview.transfer': 'Transfer to {number}',
+                'flow.preview.recording': 'Play recording {name}',
+                'flow.preview.unreachable': 'Not connected: {node}',
+                'flow.export.blocked': 'Fix {errors} errors before exporting',
+                'flow.export.done': 'Flow exported. Send the JSON file to our support team',
+                'flow.resetConfirm': 'Discard the current flow and restore the example?',
+                
+                'theme.label': 'Theme: {mode} (click to change)',
+                'theme.auto': 'System',
+                'theme.light': 'Light',
+                'theme.dark': 'Dark',
+                
+                'offline.notice': 'You are offline — prices may be outdated',
+                'update.available': 'A new version of this site is available',
+                'update.reload': 'Reload',
+                
+                'menu.open': 'Open menu',
+                'menu.close': 'Close menu',
+                
+                'backToTop': 'Back to top',
+                
+                'support.open': 'Contact support',
+                'support.title': 'Contact support',
+                'support.close': 'Close support panel',
+                'support.online': 'Support is online until {time}',
+                'support.offline': 'Support is offline until {time}. Leave a message and we will reply then.',
+                'support.hoursTitle': 'Support hours in your time zone ({zone})',
+                'support.service': 'Service',
+                'support.service.sms': 'International SMS',
+                'support.service.voice': 'International voice',
+                'support.service.group-call': 'Voice broadcast',
+                'support.service.web-call': 'Outbound calling',
+                'support.countries': 'Target countries',
+                'support.countriesPlaceholder': 'e.g. Vietnam, Indonesia',
+                'support.countriesRequired': 'Please enter at least one target country',
+                'support.volume': 'Monthly volume',
+                'support.volume.small': 'Under 10,000',
+                'support.volume.medium': '10,000 - 100,000',
+                'support.volume.large': '100,000 - 1 million',
+                'support.volume.huge': 'Over 1 million',
+                'support.telegram': 'Send via Telegram',
+                'support.email': 'Send via email',
+                'support.summary': 'Support enquiry from {url}',
+                'support.recent': 'Recent enquiries',
+                'support.reuse': 'Use again',
+                'support.clear': 'Clear history'
+            }
+        },
+        
+        // 当前语言缺少的文案回退到中文
+        t: function(key, params = {}) {
+            const catalogue = this.messages[this.lang];
+            const message = key in catalogue ? catalogue[key] : this.messages[this.defaultLanguage][key];
+            if (message === undefined) return key;
+            if (typeof message === 'function') return message(params);
+            return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        },
+        
+        // 价格数据中的国家名称
+        countryName: function(country) {
+            return this.lang === 'en' ? country.nameEn : country.nameZh;
+        },
+        
+        // 号码规则中只有中文国家名，英文使用浏览器内置的地区名称
+        regionName: function(iso, fallback) {
+            if (this.lang === 'en' && typeof Intl !== 'undefined' && Intl.DisplayNames) {
+                try {
+                    return new Intl.DisplayNames(['en'], { type: 'region' }).of(iso);
+                } catch (error) {
+                    return iso;
+                }
+            }
+            return fallback;
+        },
+        
+        // 当前页面名称，如 /en/sms.html -> sms
+        currentPage: function() {
+            const segments = window.location.pathname.split('/').filter(Boolean);
+            if (segments[0] === 'en') {
+                segments.shift();
+            }
+            const file = segments.pop() || 'index.html';
+            return file.replace(/\.html$/, '');
+        }
+    };
+    
+    // 语言切换：记住用户选择的语言，之后访问其他语言的页面时自动跳转
+    class LanguageSwitcher {
+        constructor() {
+            this.links = document.querySelectorAll('.language-switch a[hreflang]');
+            
+            this.init();
+        }
+        
+        init() {
+            const preferred = utils.storage.get(I18n.storageKey);
+            if (preferred && preferred !== I18n.lang && this.redirect(preferred)) return;
+            
+            this.links.forEach(link => {
+                link.addEventListener('click', () => {
+                    utils.storage.set(I18n.storageKey, link.getAttribute('hreflang'));
+                });
+            });
+        }
+        
+        // 跳转到切换链接指向的对应语言页面
+        redirect(lang) {
+            const link = Array.from(this.links).find(item => item.getAttribute('hreflang') === lang);
+            if (!link) return false;
+            
+            window.location.replace(link.href + window.location.search + window.location.hash);
+            return true;
+        }
+    }
+    
+    // 主题：light / dark / auto，auto 跟随系统设置
+    // 页面 <head> 中的内联脚本在首次绘制前已按相同规则设置 data-theme
+    const Theme = {
+        storageKey: 'theme',
+        modes: ['auto', 'light', 'dark'],
+        // 与 --bg-primary 一致，用于浏览器地址栏颜色
+        colors: { light: '#ffffff', dark: '#111827' },
+        media: window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null,
+        
+        preference: function() {
+            const mode = utils.storage.get(this.storageKey);
+            return this.modes.includes(mode) ? mode : 'auto';
+        },
+        
+        resolve: function(mode) {
+            if (mode !== 'auto') return mode;
+            return this.media && this.media.matches ? 'dark' : 'light';
+        },
+        
+        apply: function(mode = this.preference()) {
+            const theme = this.resolve(mode);
+            document.documentElement.setAttribute('data-theme', theme);
+            
+            let meta = document.querySelector('meta[name="theme-color"]');
+            if (!meta) {
+                meta = document.createElement('meta');
+                meta.name = 'theme-color';
+                document.head.appendChild(meta);
+            }
+            meta.content = this.colors[theme];
+            
+            document.dispatchEvent(new CustomEvent('themeChanged', {
+                detail: { mode, theme }
+            }));
+        },
+        
+        set: function(mode) {
+            if (mode === 'auto') {
+                utils.storage.remove(this.storageKey);
+            } else {
+                utils.storage.set(this.storageKey, mode);
+            }
+            this.apply(mode);
+        }
+    };
+    
+    // 头部的主题切换按钮，依次切换 跟随系统 -> 浅色 -> 深色
+    class ThemeSwitcher {
+        constructor() {
+            this.header = document.querySelector('.header-content');
+            
+            this.init();
+        }
+        
+        init() {
+            Theme.apply();
+            
+            // 跟随系统时，系统主题变化后同步更新
+            if (Theme.media) {
+                const onChange = () => {
+                    if (Theme.preference() === 'auto') Theme.apply('auto');
+                };
+                if (Theme.media.addEventListener) {
+                    Theme.media.addEventListener('change', onChange);
+                } else {
+                    Theme.media.addListener(onChange);
+                }
+            }
+            
+            if (!this.header) return;
+            
+            this.button = document.createElement('button');
+            this.button.type = 'button';
+            this.button.className = 'theme-toggle';
+            this.button.addEventListener('click', () => {
+                const modes = Theme.modes;
+                const next = modes[(modes.indexOf(Theme.preference()) + 1) % modes.length];
+                Theme.set(next);
+                this.update();
             });
+            
+            const menuBtn = this.header.querySelector('.mobile-menu-btn');
+            this.header.insertBefore(this.button, menuBtn);
+            this.update();
+        }
+        
+        update() {
+            const mode = Theme.preference();
+            const label = I18n.t('theme.label', { mode: I18n.t(`theme.${mode}`) });
+            this.button.textContent = ThemeSwitcher.ICONS[mode];
+            this.button.setAttribute('aria-label', label);
+            this.button.title = label;
         }
+    }
+    
+    ThemeSwitcher.ICONS = {
+        auto: '◐',
+        light: '☀',
+        dark: '☾'
     };
     
     // 移动端菜单控制
@@ -63,6 +1051,8 @@
             this.nav = document.querySelector('.main-nav');
             this.navLinks = document.querySelectorAll('.nav-list a');
             this.isOpen = false;
+            // 打开菜单时设为 inert 的元素，关闭时恢复
+            this.inertElements = [];
             
             this.init();
         }
@@ -70,11 +1060,19 @@
         init() {
             if (!this.menuBtn || !this.nav) return;
             
+            this.markCurrentPage();
+            
+            if (!this.nav.id) {
+                this.nav.id = 'main-nav';
+            }
+            this.menuBtn.setAttribute('aria-controls', this.nav.id);
+            this.updateButton();
+            
             this.menuBtn.addEventListener('click', () => this.toggle());
             
-            // 点击导航链接时关闭菜单
+            // 点击导航链接时关闭菜单，焦点交给链接的目标
             this.navLinks.forEach(link => {
-                link.addEventListener('click', () => this.close());
+                link.addEventListener('click', () => this.close({ returnFocus: false }));
             });
             
             // 点击外部区域关闭菜单
@@ -84,94 +1082,4128 @@
                 }
             });
             
-            // ESC键关闭菜单
+            // ESC键关闭菜单，Tab键在菜单内循环
             document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.isOpen) {
+                if (!this.isOpen) return;
+                
+                if (e.key === 'Escape') {
                     this.close();
+                } else if (e.key === 'Tab') {
+                    this.trapFocus(e);
+                }
+            });
+            
+            // 窗口变宽后导航不再是弹出菜单
+            if (window.matchMedia) {
+                const media = window.matchMedia(MobileMenu.MEDIA);
+                const onChange = () => {
+                    if (!media.matches) this.close({ returnFocus: false });
+                };
+                if (media.addEventListener) {
+                    media.addEventListener('change', onChange);
+                } else if (media.addListener) {
+                    media.addListener(onChange);
+                }
+            }
+        }
+        
+        // 当前页面的导航链接标记 aria-current，语言切换链接除外
+        markCurrentPage() {
+            const page = I18n.currentPage();
+            
+            this.navLinks.forEach(link => {
+                if (link.hasAttribute('hreflang')) return;
+                
+                const file = new URL(link.href, window.location.href).pathname.split('/').pop() || 'index.html';
+                if (file.replace(/\.html$/, '') === page) {
+                    link.setAttribute('aria-current', 'page');
+                } else {
+                    link.removeAttribute('aria-current');
                 }
             });
         }
         
+        updateButton() {
+            this.menuBtn.setAttribute('aria-expanded', String(this.isOpen));
+            this.menuBtn.setAttribute('aria-label', I18n.t(this.isOpen ? 'menu.close' : 'menu.open'));
+        }
+        
         toggle() {
             this.isOpen ? this.close() : this.open();
         }
         
         open() {
+            if (this.isOpen) return;
+            
             this.nav.classList.add('active');
             this.menuBtn.classList.add('active');
-            this.menuBtn.setAttribute('aria-expanded', 'true');
             document.body.style.overflow = 'hidden';
             this.isOpen = true;
+            this.updateButton();
+            this.setInert(true);
+            
+            const current = this.nav.querySelector('[aria-current="page"]') || this.navLinks[0];
+            if (current) current.focus();
         }
         
-        close() {
+        close({ returnFocus = true } = {}) {
+            if (!this.isOpen) return;
+            
             this.nav.classList.remove('active');
             this.menuBtn.classList.remove('active');
-            this.menuBtn.setAttribute('aria-expanded', 'false');
             document.body.style.overflow = '';
             this.isOpen = false;
+            this.updateButton();
+            this.setInert(false);
+            
+            if (returnFocus) {
+                this.menuBtn.focus();
+            }
+        }
+        
+        // 菜单之外的内容设为 inert：无法点击和聚焦，读屏软件也不会读到
+        setInert(inert) {
+            if (!inert) {
+                this.inertElements.forEach(element => {
+                    element.inert = false;
+                    element.removeAttribute('inert');
+                });
+                this.inertElements = [];
+                return;
+            }
+            
+            const keep = [this.nav, this.menuBtn];
+            for (let parent = this.nav.parentElement; parent && parent !== document.documentElement; parent = parent.parentElement) {
+                Array.from(parent.children).forEach(child => {
+                    if (keep.some(element => child.contains(element)) || child.hasAttribute('inert') || child.tagName === 'SCRIPT') return;
+                    child.inert = true;
+                    child.setAttribute('inert', '');
+                    this.inertElements.push(child);
+                });
+            }
+        }
+        
+        // 不支持 inert 的浏览器也要把焦点限制在菜单按钮和导航链接之间
+        trapFocus(e) {
+            const items = [this.menuBtn, ...this.nav.querySelectorAll('a[href], button:not([disabled])')];
+            const first = items[0];
+            const last = items[items.length - 1];
+            
+            if (!items.includes(document.activeElement)) {
+                e.preventDefault();
+                first.focus();
+            } else if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
         }
     }
     
-    // 标签页功能
+    // 与 responsive.css 中移动端导航的断点一致
+    MobileMenu.MEDIA = '(max-width: 991.98px)';
+    
+    // 标签页：每个 [role="tablist"] 独立管理，按 aria-controls 关联面板
     class TabSystem {
-        constructor() {
-            this.tabButtons = document.querySelectorAll('.tab-button');
-            this.tabPanels = document.querySelectorAll('.tab-panel');
+        constructor(tabList) {
+            this.tabList = tabList;
+            // data-activation="manual" 时方向键只移动焦点，回车或空格才切换
+            this.manual = Boolean(tabList) && tabList.getAttribute('data-activation') === 'manual';
             
             this.init();
         }
         
+        // 同一个标签组只创建一个实例，重新渲染后可复用
+        static for(tabList) {
+            return TabSystem.instances.get(tabList) || new TabSystem(tabList);
+        }
+        
+        static initAll(root = document) {
+            root.querySelectorAll('[role="tablist"]').forEach(tabList => TabSystem.for(tabList).refresh());
+        }
+        
         init() {
-            if (!this.tabButtons.length || !this.tabPanels.length) return;
+            if (!this.tabList) return;
             
-            this.tabButtons.forEach((button, index) => {
-                button.addEventListener('click', () => this.switchTab(index));
-                
-                // 键盘导航支持
-                button.addEventListener('keydown', (e) => {
-                    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-                        e.preventDefault();
-                        const direction = e.key === 'ArrowLeft' ? -1 : 1;
-                        const newIndex = (index + direction + this.tabButtons.length) % this.tabButtons.length;
-                        this.switchTab(newIndex);
-                        this.tabButtons[newIndex].focus();
-                    }
-                });
+            TabSystem.instances.set(this.tabList, this);
+            if (!this.tabList.id) {
+                this.tabList.id = `tabs-${++TabSystem.count}`;
+            }
+            
+            this.tabList.addEventListener('click', (e) => {
+                const tab = e.target.closest('[role="tab"]');
+                if (tab && this.tabList.contains(tab)) {
+                    this.select(tab);
+                }
             });
+            
+            this.tabList.addEventListener('keydown', (e) => this.handleKeydown(e));
+            
+            // 浏览器前进后退或手动修改地址时同步标签页
+            window.addEventListener('hashchange', () => this.restoreFromHash());
+            
+            this.refresh();
         }
         
-        switchTab(activeIndex) {
-            // 更新按钮状态
-            this.tabButtons.forEach((button, index) => {
-                const isActive = index === activeIndex;
-                button.classList.toggle('active', isActive);
-                button.setAttribute('aria-selected', isActive);
-            });
+        get tabs() {
+            return Array.from(this.tabList.querySelectorAll('[role="tab"]'));
+        }
+        
+        panelFor(tab) {
+            const id = tab.getAttribute('aria-controls');
+            return id ? document.getElementById(id) : null;
+        }
+        
+        // 按当前激活的标签同步属性，地址中有对应面板时优先恢复
+        refresh() {
+            const tabs = this.tabs;
+            if (!tabs.length) return;
+            
+            if (this.restoreFromHash()) return;
+            
+            const active = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+            this.select(active, { updateHash: false, silent: true });
+        }
+        
+        restoreFromHash() {
+            const id = utils.hashId(window.location.hash);
+            if (!id) return false;
+            
+            const tab = this.tabs.find(item => item.getAttribute('aria-controls') === id || item.id === id);
+            if (!tab) return false;
+            
+            this.select(tab, { updateHash: false });
+            return true;
+        }
+        
+        handleKeydown(e) {
+            const tabs = this.tabs;
+            const current = tabs.indexOf(e.target.closest('[role="tab"]'));
+            if (current === -1) return;
+            
+            let next = null;
+            switch (e.key) {
+                case 'ArrowLeft':
+                case 'ArrowUp':
+                    next = (current - 1 + tabs.length) % tabs.length;
+                    break;
+                case 'ArrowRight':
+                case 'ArrowDown':
+                    next = (current + 1) % tabs.length;
+                    break;
+                case 'Home':
+                    next = 0;
+                    break;
+                case 'End':
+                    next = tabs.length - 1;
+                    break;
+                case 'Enter':
+                case ' ':
+                    e.preventDefault();
+                    this.select(tabs[current]);
+                    return;
+                default:
+                    return;
+            }
+            
+            e.preventDefault();
+            if (this.manual) {
+                this.focusTab(tabs[next]);
+            } else {
+                this.select(tabs[next], { focus: true });
+            }
+        }
+        
+        // 漫游 tabindex：只有获得焦点的标签可以 Tab 进入
+        focusTab(target) {
+            this.tabs.forEach(tab => tab.setAttribute('tabindex', tab === target ? '0' : '-1'));
+            target.focus();
+        }
+        
+        select(target, options = {}) {
+            const { focus = false, updateHash = true, silent = false } = options;
+            const tabs = this.tabs;
+            const activeIndex = tabs.indexOf(target);
+            if (activeIndex === -1) return;
             
-            // 更新面板状态
-            this.tabPanels.forEach((panel, index) => {
-                panel.classList.toggle('active', index === activeIndex);
+            // 更新标签和面板状态
+            tabs.forEach(tab => {
+                const isActive = tab === target;
+                tab.classList.toggle('active', isActive);
+                tab.setAttribute('aria-selected', isActive);
+                tab.setAttribute('tabindex', isActive ? '0' : '-1');
+                
+                const panel = this.panelFor(tab);
+                if (panel) {
+                    panel.classList.toggle('active', isActive);
+                    panel.hidden = !isActive;
+                    panel.setAttribute('tabindex', '0');
+                }
             });
             
+            if (focus) target.focus();
+            
+            const panelId = target.getAttribute('aria-controls');
+            if (updateHash && panelId && window.location.hash !== `#${panelId}`) {
+                // 用 replaceState 更新地址，避免页面跳到面板位置
+                history.replaceState(history.state, '', `#${panelId}`);
+            }
+            
+            if (silent) return;
+            
             // 发送自定义事件
-            document.dispatchEvent(new CustomEvent('tabChanged', {
-                detail: { activeIndex }
+            this.tabList.dispatchEvent(new CustomEvent('tabChanged', {
+                bubbles: true,
+                detail: { groupId: this.tabList.id, panelId, tabId: target.id, activeIndex }
             }));
         }
     }
     
-    // 懒加载图片
-    class LazyLoader {
-        constructor() {
-            this.images = document.querySelectorAll('img[data-src]');
-            this.imageObserver = null;
+    TabSystem.instances = new WeakMap();
+    TabSystem.count = 0;
+    
+    // 折叠面板：data-accordion="single" 同时只展开一项，"multiple" 可展开多项
+    class Accordion {
+        constructor(container) {
+            this.container = container;
+            this.multiple = Boolean(container) && container.getAttribute('data-accordion') === 'multiple';
             
             this.init();
         }
         
+        // 同一个容器只创建一个实例，FAQ 搜索可以先于 initAll 取用
+        static for(container) {
+            return Accordion.instances.get(container) || new Accordion(container);
+        }
+        
+        static initAll(root = document) {
+            root.querySelectorAll('[data-accordion]').forEach(container => Accordion.for(container));
+        }
+        
         init() {
-            if (!this.images.length) return;
+            if (!this.container || !this.items.length) return;
+            
+            Accordion.instances.set(this.container, this);
+            this.items.forEach((item, index) => this.setupItem(item, index));
+            this.createToolbar();
+            
+            this.container.addEventListener('click', (e) => {
+                const trigger = e.target.closest(Accordion.SELECTORS.trigger);
+                if (trigger && this.container.contains(trigger)) {
+                    this.toggle(trigger.closest(Accordion.SELECTORS.item));
+                }
+            });
+            
+            this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+            
+            if (this.container.getAttribute('data-structured-data') === 'FAQPage') {
+                this.addStructuredData();
+            }
+            
+            this.openFromHash();
+            window.addEventListener('hashchange', () => this.openFromHash());
+        }
+        
+        get items() {
+            return Array.from(this.container.querySelectorAll(Accordion.SELECTORS.item));
+        }
+        
+        // 按问题 id 关联按钮和答案，id 写在页面中以保证链接稳定
+        setupItem(item, index) {
+            const trigger = item.querySelector(Accordion.SELECTORS.trigger);
+            const panel = item.querySelector(Accordion.SELECTORS.panel);
+            if (!trigger || !panel) return;
+            
+            if (!item.id) {
+                item.id = `${this.container.id || 'accordion'}-item-${index + 1}`;
+            }
+            
+            trigger.id = `${item.id}-question`;
+            panel.id = `${item.id}-answer`;
+            trigger.setAttribute('aria-controls', panel.id);
+            trigger.setAttribute('aria-expanded', trigger.getAttribute('aria-expanded') === 'true');
+            panel.setAttribute('role', 'region');
+            panel.setAttribute('aria-labelledby', trigger.id);
+            
+            const share = document.createElement('div');
+            share.className = 'accordion-share';
+            share.innerHTML = `
+                <button type="button" class="accordion-copy-link">${I18n.t('accordion.copyLink')}</button>
+                <span class="accordion-copy-status" role="status" aria-live="polite"></span>
+            `;
+            share.querySelector('button').addEventListener('click', () => this.copyLink(item, share));
+            panel.appendChild(share);
+        }
+        
+        createToolbar() {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'accordion-toolbar';
+            
+            const actions = this.multiple ? ['expandAll', 'collapseAll'] : ['collapseAll'];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'accordion-toggle-all';
+                button.textContent = I18n.t(`accordion.${action}`);
+                button.addEventListener('click', () => this.setAll(action === 'expandAll'));
+                toolbar.appendChild(button);
+            });
+            
+            this.container.insertBefore(toolbar, this.container.firstChild);
+        }
+        
+        isExpanded(item) {
+            const trigger = item.querySelector(Accordion.SELECTORS.trigger);
+            return Boolean(trigger) && trigger.getAttribute('aria-expanded') === 'true';
+        }
+        
+        toggle(item, expand = !this.isExpanded(item)) {
+            const trigger = item.querySelector(Accordion.SELECTORS.trigger);
+            if (!trigger) return;
+            
+            // 单项模式下展开时收起其他问题
+            if (expand && !this.multiple) {
+                this.items.forEach(other => {
+                    if (other !== item) this.toggle(other, false);
+                });
+            }
+            
+            trigger.setAttribute('aria-expanded', expand);
+        }
+        
+        setAll(expand) {
+            // 搜索过滤隐藏的问题不展开
+            this.items
+                .filter(item => !expand || !item.hidden)
+                .forEach(item => item.querySelector(Accordion.SELECTORS.trigger).setAttribute('aria-expanded', expand));
+        }
+        
+        // 上下方向键及 Home/End 在可见问题之间移动焦点
+        handleKeydown(e) {
+            const trigger = e.target.closest(Accordion.SELECTORS.trigger);
+            if (!trigger || !['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(e.key)) return;
+            
+            const triggers = this.items
+                .filter(item => !item.hidden && !item.closest('[hidden]'))
+                .map(item => item.querySelector(Accordion.SELECTORS.trigger));
+            const current = triggers.indexOf(trigger);
+            if (current === -1) return;
+            
+            const next = {
+                ArrowDown: (current + 1) % triggers.length,
+                ArrowUp: (current - 1 + triggers.length) % triggers.length,
+                Home: 0,
+                End: triggers.length - 1
+            }[e.key];
+            
+            e.preventDefault();
+            triggers[next].focus();
+        }
+        
+        openFromHash() {
+            const id = utils.hashId(window.location.hash);
+            const item = id ? this.items.find(entry => entry.id === id) : null;
+            if (!item) return;
+            
+            this.toggle(item, true);
+            utils.smoothScrollTo(item, 80);
+            item.querySelector(Accordion.SELECTORS.trigger).focus({ preventScroll: true });
+        }
+        
+        copyLink(item, share) {
+            const url = new URL(window.location.href);
+            url.search = '';
+            url.hash = item.id;
+            
+            const status = share.querySelector('.accordion-copy-status');
+            utils.copyText(url.href)
+                .then(() => {
+                    status.textContent = I18n.t('accordion.copied');
+                })
+                .catch(() => {
+                    status.textContent = I18n.t('accordion.copyFailed');
+                })
+                .then(() => {
+                    clearTimeout(share.statusTimer);
+                    share.statusTimer = setTimeout(() => {
+                        status.textContent = '';
+                    }, 3000);
+                });
+        }
+        
+        // 根据页面上的问答生成 FAQPage 结构化数据，避免与正文不一致
+        addStructuredData() {
+            const mainEntity = this.items.map(item => {
+                const title = item.querySelector(`${Accordion.SELECTORS.trigger} span`);
+                const answer = item.querySelector(Accordion.SELECTORS.panel).cloneNode(true);
+                answer.querySelectorAll('.accordion-share').forEach(element => element.remove());
+                
+                return {
+                    '@type': 'Question',
+                    name: title.textContent.trim(),
+                    acceptedAnswer: {
+                        '@type': 'Answer',
+                        text: answer.textContent.replace(/\s+/g, ' ').trim()
+                    }
+                };
+            });
+            
+            const script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.textContent = JSON.stringify({
+                '@context': 'https://schema.org',
+                '@type': 'FAQPage',
+                mainEntity
+            });
+            document.head.appendChild(script);
+        }
+    }
+    
+    Accordion.SELECTORS = {
+        item: '.faq-item',
+        trigger: '.faq-question',
+        panel: '.faq-answer'
+    };
+    Accordion.instances = new WeakMap();
+    
+    // 价格数据（所有页面共用同一份价格表）
+    const PriceCatalogue = {
+        source: 'assets/data/prices.json',
+        request: null,
+        
+        // 价格列定义：字段名 -> 表头与计费单位
+        columns: {
+            verification: { label: I18n.t('price.verification'), unit: I18n.t('unit.sms') },
+            marketing: { label: I18n.t('price.marketing'), unit: I18n.t('unit.sms') },
+            voice: { label: I18n.t('price.voice'), unit: I18n.t('unit.minute'), perMinute: true }
+        },
+        
+        load: function() {
+            if (!this.request) {
+                this.request = fetch(utils.siteUrl(this.source))
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(I18n.t('price.loadFailed', { status: response.status }));
+                        }
+                        return response.json();
+                    })
+                    .catch(error => {
+                        this.request = null;
+                        throw error;
+                    });
+            }
+            return this.request;
+        },
+        
+        formatPrice: function(value, column) {
+            return typeof value === 'number' ? Currency.formatPrice(value, column.perMinute ? 'minute' : 'message') : '--';
+        }
+    };
+    
+    // 币种换算：价格数据以美元计价，按本地汇率文件折算后显示
+    const Currency = {
+        source: 'assets/data/rates.json',
+        storageKey: 'currency',
+        base: 'USD',
+        codes: ['USD', 'CNY', 'EUR', 'USDT'],
+        rates: null,
+        request: null,
+        
+        load: function() {
+            if (!this.request) {
+                this.request = fetch(utils.siteUrl(this.source))
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(I18n.t('currency.loadFailed'));
+                        }
+                        return response.json();
+                    })
+                    .then(data => {
+                        if (data.base !== this.base || !data.rates) {
+                            throw new Error(I18n.t('currency.loadFailed'));
+                        }
+                        this.rates = data;
+                        this.notify();
+                        return data;
+                    })
+                    .catch(error => {
+                        this.request = null;
+                        throw error;
+                    });
+            }
+            return this.request;
+        },
+        
+        preference: function() {
+            const code = utils.storage.get(this.storageKey);
+            return this.codes.includes(code) ? code : this.base;
+        },
+        
+        // 汇率未加载或缺少该币种时按美元显示
+        current: function() {
+            const code = this.preference();
+            return this.rate(code) ? code : this.base;
+        },
+        
+        rate: function(code) {
+            if (code === this.base) return 1;
+            const rate = this.rates && this.rates.rates[code];
+            return typeof rate === 'number' && rate > 0 ? rate : null;
+        },
+        
+        set: function(code) {
+            if (code === this.base) {
+                utils.storage.remove(this.storageKey);
+            } else {
+                utils.storage.set(this.storageKey, code);
+            }
+            this.notify();
+        },
+        
+        notify: function() {
+            document.dispatchEvent(new CustomEvent('currencyChanged', {
+                detail: { currency: this.current(), rates: this.rates }
+            }));
+        },
+        
+        // 解析价格文本，如 "$0.08元/条"、"$0.035/min"，返回 { amount, currency, unit }；无报价时返回 null
+        parse: function(text) {
+            const match = String(text).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+            if (!match) return null;
+            
+            // 旧版价格同时写了 $ 和 元，以美元符号为准
+            let currency = this.base;
+            if (/USDT/i.test(text)) currency = 'USDT';
+            else if (/\$|USD/i.test(text)) currency = 'USD';
+            else if (/€|EUR/i.test(text)) currency = 'EUR';
+            else if (/[¥元]|CNY|RMB/i.test(text)) currency = 'CNY';
+            
+            let unit = null;
+            if (/分钟|min/i.test(text)) unit = 'minute';
+            else if (/条|SMS|message/i.test(text)) unit = 'message';
+            
+            return { amount: parseFloat(match[0]), currency, unit };
+        },
+        
+        // 金额以美元传入，按当前币种显示；不足 1 时保留 4 位小数
+        format: function(amount) {
+            const code = this.current();
+            const value = amount * this.rate(code);
+            const options = { minimumFractionDigits: 2, maximumFractionDigits: Math.abs(value) < 1 ? 4 : 2 };
+            
+            // USDT 不是 ISO 4217 货币代码，Intl 无法按货币格式化
+            if (code === 'USDT') {
+                return `${new Intl.NumberFormat(I18n.lang, options).format(value)} USDT`;
+            }
+            return new Intl.NumberFormat(I18n.lang, Object.assign({ style: 'currency', currency: code }, options)).format(value);
+        },
+        
+        formatPrice: function(amount, unit) {
+            return I18n.t(unit === 'minute' ? 'price.perMinute' : 'price.perMessage', { amount: this.format(amount) });
+        },
+        
+        // 重新显示价格单元格；静态价格表先从文字中解析出美元金额和计费单位
+        render: function(root = document) {
+            root.querySelectorAll('td[data-price]').forEach(cell => {
+                if (!cell.hasAttribute('data-unit')) {
+                    const parsed = this.parse(cell.textContent);
+                    const column = PriceCatalogue.columns[cell.getAttribute('data-price')];
+                    const rate = parsed && this.rate(parsed.currency);
+                    if (rate && !cell.hasAttribute('data-value')) {
+                        cell.setAttribute('data-value', Math.round(parsed.amount / rate * 10000) / 10000);
+                    }
+                    cell.setAttribute('data-unit', column ? (column.perMinute ? 'minute' : 'message') : (parsed && parsed.unit) || 'message');
+                }
+                
+                if (cell.hasAttribute('data-value')) {
+                    cell.textContent = this.formatPrice(parseFloat(cell.getAttribute('data-value')), cell.getAttribute('data-unit'));
+                }
+            });
+        }
+    };
+    
+    // 价格表渲染：根据价格数据生成区域标签页和表格
+    class PricingTables {
+        constructor() {
+            this.containers = document.querySelectorAll('.pricing-tabs[data-price-columns]');
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.containers.length) return;
+            
+            // 加载失败时保留页面中的静态价格表
+            PriceCatalogue.load()
+                .then(catalogue => {
+                    this.containers.forEach(container => {
+                        this.render(container, catalogue);
+                        TabSystem.initAll(container);
+                    });
+                })
+                .catch(() => {});
+        }
+        
+        render(container, catalogue) {
+            const columns = container.getAttribute('data-price-columns')
+                .split(',')
+                .map(key => key.trim())
+                .filter(key => PriceCatalogue.columns[key]);
+            const group = container.getAttribute('data-price-group');
+            const nameSuffix = container.getAttribute('data-price-suffix') || '';
+            const idFor = (region, type) => [group, region.id, type].filter(Boolean).join('-');
+            
+            const regions = catalogue.regions.map(region => ({
+                region,
+                countries: catalogue.countries.filter(country =>
+                    country.region === region.id &&
+                    columns.some(key => typeof country[key] === 'number')
+                )
+            })).filter(entry => entry.countries.length);
+            
+            if (!columns.length || !regions.length) return;
+            
+            // 汇总所有地区，便于跨地区比较和排序
+            if (regions.length > 1) {
+                regions.push({
+                    region: { id: 'all', label: I18n.t('pricing.allRegions') },
+                    countries: regions.reduce((all, entry) => all.concat(entry.countries), [])
+                });
+            }
+            
+            const tabList = container.querySelector('.tab-buttons');
+            const tabContent = container.querySelector('.tab-content');
+            tabList.innerHTML = '';
+            tabContent.innerHTML = '';
+            
+            regions.forEach(({ region, countries }, index) => {
+                const isActive = index === 0;
+                
+                const button = document.createElement('button');
+                button.className = isActive ? 'tab-button active' : 'tab-button';
+                button.setAttribute('role', 'tab');
+                button.setAttribute('aria-selected', isActive);
+                button.setAttribute('aria-controls', idFor(region, 'panel'));
+                button.id = idFor(region, 'tab');
+                button.setAttribute('data-region', region.id);
+                button.textContent = (I18n.lang === 'en' && region.labelEn) || region.label;
+                tabList.appendChild(button);
+                
+                const panel = document.createElement('div');
+                panel.className = isActive ? 'tab-panel active' : 'tab-panel';
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', button.id);
+                panel.id = idFor(region, 'panel');
+                panel.appendChild(this.createTable(countries, columns, nameSuffix));
+                tabContent.appendChild(panel);
+            });
+            
+            container.dispatchEvent(new CustomEvent('pricingRendered', {
+                bubbles: true,
+                detail: { catalogue, columns }
+            }));
+        }
+        
+        createTable(countries, columns, nameSuffix) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'table-responsive';
+            
+            const table = document.createElement('table');
+            table.className = 'pricing-table';
+            
+            // 英文页面不显示中文国家名列
+            const nameHeaders = I18n.lang === 'en' ? ['Country & Regions', 'Country Code'] : ['国家/地区', 'Country & Regions', 'Country Code'];
+            const headers = nameHeaders
+                .concat(columns.map(key => PriceCatalogue.columns[key].label));
+            const headRow = table.createTHead().insertRow();
+            headers.forEach(label => {
+                const th = document.createElement('th');
+                th.setAttribute('scope', 'col');
+                th.textContent = label;
+                headRow.appendChild(th);
+            });
+            
+            const body = table.createTBody();
+            countries.forEach(country => {
+                const row = body.insertRow();
+                row.setAttribute('data-iso', country.iso);
+                row.setAttribute('data-calling-code', country.callingCode);
+                row.setAttribute('data-name-zh', country.nameZh);
+                row.setAttribute('data-name-en', country.nameEn);
+                
+                const names = I18n.lang === 'en'
+                    ? [country.nameEn, country.iso]
+                    : [country.nameZh + nameSuffix, country.nameEn, country.iso];
+                names.forEach(text => {
+                    row.insertCell().textContent = text;
+                });
+                
+                columns.forEach(key => {
+                    const cell = row.insertCell();
+                    cell.textContent = PriceCatalogue.formatPrice(country[key], PriceCatalogue.columns[key]);
+                    cell.setAttribute('data-price', key);
+                    cell.setAttribute('data-unit', PriceCatalogue.columns[key].perMinute ? 'minute' : 'message');
+                    if (typeof country[key] === 'number') {
+                        cell.setAttribute('data-value', country[key]);
+                    }
+                });
+            });
+            
+            wrapper.appendChild(table);
+            return wrapper;
+        }
+    }
+    
+    // 价格表搜索、排序和筛选
+    class PricingFilter {
+        constructor() {
+            this.containers = document.querySelectorAll('.pricing-tabs');
+            
+            this.init();
+        }
+        
+        init() {
+            this.containers.forEach(container => {
+                const state = { query: '', sortKey: null, sortDirection: 'asc', limit: 0 };
+                
+                this.createToolbar(container, state);
+                this.enhanceTables(container, state);
+                
+                // 价格表由价格数据重新渲染后需要重新绑定
+                container.addEventListener('pricingRendered', () => {
+                    this.enhanceTables(container, state);
+                    this.apply(container, state, false);
+                });
+            });
+        }
+        
+        createToolbar(container, state) {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'pricing-toolbar';
+            toolbar.innerHTML = `
+                <input type="search" class="pricing-search" placeholder="${I18n.t('pricing.searchPlaceholder')}" aria-label="${I18n.t('pricing.searchLabel')}">
+                <select class="pricing-limit" aria-label="${I18n.t('pricing.limitLabel')}">
+                    <option value="0">${I18n.t('pricing.limitAll')}</option>
+                    <option value="10">${I18n.t('pricing.limitTop', { count: 10 })}</option>
+                    <option value="20">${I18n.t('pricing.limitTop', { count: 20 })}</option>
+                </select>
+                <p class="pricing-status" role="status" aria-live="polite"></p>
+            `;
+            container.insertBefore(toolbar, container.firstChild);
+            
+            const search = toolbar.querySelector('.pricing-search');
+            search.addEventListener('input', utils.debounce(() => {
+                state.query = search.value.trim();
+                this.apply(container, state, true);
+            }, 200));
+            
+            toolbar.querySelector('.pricing-limit').addEventListener('change', (e) => {
+                state.limit = parseInt(e.target.value, 10) || 0;
+                this.apply(container, state, false);
+            });
+        }
+        
+        // 为价格列表头添加排序按钮，并记录原始行顺序
+        enhanceTables(container, state) {
+            container.querySelectorAll('.pricing-table').forEach(table => {
+                const firstRow = table.tBodies[0] && table.tBodies[0].rows[0];
+                if (!firstRow) return;
+                
+                Array.from(table.tBodies[0].rows).forEach((row, index) => {
+                    row.setAttribute('data-order', index);
+                });
+                
+                const headerCells = table.tHead.rows[0].cells;
+                Array.from(firstRow.cells).forEach((cell, index) => {
+                    const key = cell.getAttribute('data-price');
+                    const th = headerCells[index];
+                    if (!key || !th || th.querySelector('.sort-button')) return;
+                    
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'sort-button';
+                    button.setAttribute('data-sort', key);
+                    button.textContent = th.textContent;
+                    th.textContent = '';
+                    th.appendChild(button);
+                    
+                    button.addEventListener('click', () => {
+                        if (state.sortKey === key) {
+                            state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+                        } else {
+                            state.sortKey = key;
+                            state.sortDirection = 'asc';
+                        }
+                        this.apply(container, state, false);
+                    });
+                });
+            });
+        }
+        
+        apply(container, state, followMatches) {
+            const panelMatches = new Map();
+            
+            container.querySelectorAll('.tab-panel').forEach(panel => {
+                const table = panel.querySelector('.pricing-table');
+                if (!table || !table.tBodies[0]) return;
+                
+                const rows = this.sortRows(Array.from(table.tBodies[0].rows), state);
+                rows.forEach(row => table.tBodies[0].appendChild(row));
+                
+                let visible = 0;
+                rows.forEach(row => {
+                    const matches = this.matchRow(row, state.query);
+                    const withinLimit = !state.limit || visible < state.limit;
+                    row.hidden = !(matches && withinLimit);
+                    if (!row.hidden) visible++;
+                });
+                
+                panelMatches.set(panel.id, visible);
+                this.updateSortHeaders(table, state);
+            });
+            
+            this.updateTabs(container, state, panelMatches, followMatches);
+        }
+        
+        sortRows(rows, state) {
+            if (!state.sortKey) {
+                return rows.sort((a, b) => a.getAttribute('data-order') - b.getAttribute('data-order'));
+            }
+            
+            const valueOf = row => {
+                const cell = row.querySelector(`[data-price="${state.sortKey}"]`);
+                return cell && cell.hasAttribute('data-value') ? parseFloat(cell.getAttribute('data-value')) : null;
+            };
+            const direction = state.sortDirection === 'asc' ? 1 : -1;
+            
+            // 无报价的国家始终排在最后
+            return rows.sort((a, b) => {
+                const valueA = valueOf(a);
+                const valueB = valueOf(b);
+                if (valueA === null && valueB === null) return 0;
+                if (valueA === null) return 1;
+                if (valueB === null) return -1;
+                return (valueA - valueB) * direction;
+            });
+        }
+        
+        matchRow(row, query) {
+            if (!query) return true;
+            
+            const normalized = query.toLowerCase().replace(/\s+/g, ' ');
+            const callingCode = row.getAttribute('data-calling-code') || '';
+            
+            // 区号匹配，如 +84 或 84
+            if (/^\+?\d+$/.test(normalized)) {
+                return callingCode.startsWith(normalized.replace('+', ''));
+            }
+            
+            // 优先使用行上的国家名属性，兼容只有单元格文字的静态价格表
+            const nameZh = row.getAttribute('data-name-zh') || (row.cells[0] ? row.cells[0].textContent.trim() : '');
+            const nameEn = (row.getAttribute('data-name-en') || (row.cells[1] ? row.cells[1].textContent.trim() : '')).toLowerCase();
+            const iso = (row.getAttribute('data-iso') || (row.cells[2] ? row.cells[2].textContent : '')).trim().toLowerCase();
+            
+            if (nameZh.includes(query)) return true;
+            if (iso === normalized) return true;
+            
+            // 两个字母以内只匹配英文单词开头，避免误匹配
+            if (normalized.length <= 2) {
+                return nameEn.split(' ').some(word => word.startsWith(normalized));
+            }
+            return nameEn.includes(normalized);
+        }
+        
+        updateSortHeaders(table, state) {
+            table.querySelectorAll('.sort-button').forEach(button => {
+                const th = button.closest('th');
+                const isSorted = button.getAttribute('data-sort') === state.sortKey;
+                th.setAttribute('aria-sort', isSorted ? (state.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none');
+                button.classList.toggle('sorted', isSorted);
+                button.classList.toggle('desc', isSorted && state.sortDirection === 'desc');
+            });
+        }
+        
+        updateTabs(container, state, panelMatches, followMatches) {
+            const buttons = Array.from(container.querySelectorAll('.tab-button'));
+            const status = container.querySelector('.pricing-status');
+            
+            buttons.forEach(button => {
+                let count = button.querySelector('.tab-count');
+                if (!state.query) {
+                    if (count) count.remove();
+                    return;
+                }
+                if (!count) {
+                    count = document.createElement('span');
+                    count.className = 'tab-count';
+                    button.appendChild(count);
+                }
+                count.textContent = panelMatches.get(button.getAttribute('aria-controls')) || 0;
+            });
+            
+            if (!state.query) {
+                status.textContent = '';
+                return;
+            }
+            
+            const hitButtons = buttons.filter(button => panelMatches.get(button.getAttribute('aria-controls')) > 0);
+            if (!hitButtons.length) {
+                status.textContent = I18n.t('pricing.notFound', { query: state.query });
+                return;
+            }
+            
+            // 当前标签页没有结果时，切换到第一个包含结果的地区
+            const activeButton = buttons.find(button => button.classList.contains('active'));
+            if (followMatches && !hitButtons.includes(activeButton)) {
+                TabSystem.for(hitButtons[0].closest('[role="tablist"]')).select(hitButtons[0]);
+            }
+            
+            const regionCount = hitButtons.filter(button => button.getAttribute('data-region') !== 'all').length;
+            status.textContent = I18n.t('pricing.found', { count: regionCount });
+        }
+    }
+    
+    // 币种切换：价格表和费用估算中的币种选择，各页面共用同一选择
+    class CurrencySwitcher {
+        constructor() {
+            this.containers = document.querySelectorAll('.pricing-tabs, .campaign-estimator');
+            this.controls = [];
+            this.failed = false;
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.containers.length) return;
+            
+            this.controls = Array.from(this.containers).map(container => this.createControl(container)).filter(Boolean);
+            
+            document.addEventListener('currencyChanged', () => {
+                Currency.render();
+                this.update();
+            });
+            
+            Currency.render();
+            this.update();
+            Currency.load().catch(() => {
+                this.failed = true;
+                this.update();
+            });
+        }
+        
+        createControl(container) {
+            const select = document.createElement('select');
+            select.className = 'currency-select';
+            Currency.codes.forEach(code => {
+                select.appendChild(new Option(I18n.t(`currency.${code}`), code));
+            });
+            select.addEventListener('change', () => Currency.set(select.value));
+            
+            const note = document.createElement('p');
+            note.className = 'currency-note';
+            
+            const options = container.querySelector('.estimator-options');
+            const toolbar = container.querySelector('.pricing-toolbar');
+            if (options) {
+                const field = document.createElement('div');
+                field.className = 'estimator-field';
+                const label = document.createElement('label');
+                select.id = 'estimator-currency';
+                label.htmlFor = select.id;
+                label.textContent = I18n.t('currency.label');
+                field.append(label, select, note);
+                options.appendChild(field);
+            } else if (toolbar) {
+                const status = toolbar.querySelector('.pricing-status');
+                select.setAttribute('aria-label', I18n.t('currency.label'));
+                toolbar.insertBefore(select, status);
+                toolbar.insertBefore(note, status);
+            } else {
+                return null;
+            }
+            
+            return { select, note };
+        }
+        
+        update() {
+            const current = Currency.current();
+            const rates = Currency.rates;
+            let text = I18n.t('currency.base');
+            if (this.failed) {
+                text = I18n.t('currency.loadFailed');
+            } else if (current !== Currency.base) {
+                text = I18n.t('currency.note', { date: rates.updated });
+            }
+            
+            this.controls.forEach(({ select, note }) => {
+                // 汇率加载前保留用户的选择，加载失败后只能选择美元
+                select.value = this.failed ? Currency.base : Currency.preference();
+                Array.from(select.options).forEach(option => {
+                    option.disabled = this.failed && option.value !== Currency.base;
+                });
+                note.textContent = text;
+            });
+        }
+    }
+    
+    // 短信编码与分段计算（GSM 03.38）
+    const SMSEncoding = {
+        GSM_BASIC: '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+            '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà',
+        // 扩展字符需要转义，占用2个字符位
+        GSM_EXTENDED: '^{}\\[~]|€\f',
+        
+        // 单条与长短信（扣除UDH头后）的字符上限
+        LIMITS: {
+            'GSM-7': { single: 160, multipart: 153 },
+            'UCS-2': { single: 70, multipart: 67 }
+        },
+        
+        // 常见的可替换为GSM-7字符的符号
+        SUBSTITUTIONS: {
+            '“': '"', '”': '"', '„': '"', '«': '"', '»': '"',
+            '‘': '\'', '’': '\'', '`': '\'', '´': '\'',
+            '–': '-', '—': '-', '−': '-',
+            '…': '...', ' ': ' ', '　': ' ',
+            '，': ',', '。': '.', '！': '!', '？': '?', '：': ':', '；': ';',
+            '（': '(', '）': ')', '【': '[', '】': ']', '、': ','
+        },
+        
+        isGSM: function(char) {
+            return this.GSM_BASIC.includes(char) || this.GSM_EXTENDED.includes(char);
+        },
+        
+        // 单个字符占用的计费单位
+        charUnits: function(char, encoding) {
+            if (encoding === 'UCS-2') {
+                return char.length;
+            }
+            return this.GSM_EXTENDED.includes(char) ? 2 : 1;
+        },
+        
+        analyze: function(text) {
+            const chars = Array.from(text);
+            const unsupported = chars.filter(char => !this.isGSM(char));
+            const encoding = unsupported.length ? 'UCS-2' : 'GSM-7';
+            const limits = this.LIMITS[encoding];
+            const units = chars.reduce((total, char) => total + this.charUnits(char, encoding), 0);
+            
+            const parts = units > limits.single ? this.split(chars, encoding, limits.multipart) : [text];
+            const partLimit = parts.length > 1 ? limits.multipart : limits.single;
+            
+            return {
+                encoding,
+                units,
+                parts: units ? parts : [],
+                partLimit,
+                remaining: units ? partLimit * parts.length - units : limits.single,
+                unsupported: [...new Set(unsupported)]
+            };
+        },
+        
+        // 按字符切分，避免把转义字符或代理对拆到两条短信中
+        split: function(chars, encoding, limit) {
+            const parts = [];
+            let current = '';
+            let used = 0;
+            
+            chars.forEach(char => {
+                const units = this.charUnits(char, encoding);
+                if (used + units > limit) {
+                    parts.push(current);
+                    current = '';
+                    used = 0;
+                }
+                current += char;
+                used += units;
+            });
+            
+            if (current) {
+                parts.push(current);
+            }
+            return parts;
+        },
+        
+        substitute: function(text) {
+            return Array.from(text).map(char => this.SUBSTITUTIONS[char] || char).join('');
+        }
+    };
+    
+    // 短信编辑器：编码检测、分段预览和模板变量
+    class SMSComposer {
+        constructor() {
+            this.composer = document.querySelector('.sms-composer');
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.composer) return;
+            
+            this.message = this.composer.querySelector('.composer-message');
+            this.variables = this.composer.querySelectorAll('[data-variable]');
+            this.warnings = this.composer.querySelector('.composer-warnings');
+            this.partsList = this.composer.querySelector('.composer-parts');
+            
+            if (!this.message) return;
+            
+            const update = utils.debounce(() => this.update(), 100);
+            this.message.addEventListener('input', update);
+            this.variables.forEach(input => input.addEventListener('input', update));
+            
+            this.warnings.addEventListener('click', (e) => {
+                if (e.target.closest('.composer-fix')) {
+                    this.message.value = SMSEncoding.substitute(this.message.value);
+                    this.update();
+                    this.message.focus();
+                }
+            });
+            
+            this.update();
+        }
+        
+        // 用示例值替换模板变量
+        render(template) {
+            const values = {};
+            this.variables.forEach(input => {
+                values[input.getAttribute('data-variable')] = input.value;
+            });
+            
+            const missing = [];
+            const text = template.replace(/\{(\w+)\}/g, (match, name) => {
+                if (!(name in values)) {
+                    missing.push(match);
+                    return match;
+                }
+                return values[name] || match;
+            });
+            
+            return { text, missing: [...new Set(missing)] };
+        }
+        
+        update() {
+            const { text, missing } = this.render(this.message.value);
+            const result = SMSEncoding.analyze(text);
+            
+            this.setStat('encoding', I18n.t(result.encoding === 'GSM-7' ? 'composer.encodingGsm' : 'composer.encodingUcs'));
+            this.setStat('used', I18n.t('composer.chars', { count: result.units }));
+            this.setStat('remaining', I18n.t('composer.chars', { count: result.remaining }));
+            this.setStat('segments', I18n.t('composer.segments', { count: result.parts.length }));
+            
+            this.renderWarnings(result, missing);
+            this.renderParts(result);
+        }
+        
+        setStat(name, value) {
+            const element = this.composer.querySelector(`[data-stat="${name}"]`);
+            if (element) {
+                element.textContent = value;
+            }
+        }
+        
+        renderWarnings(result, missing) {
+            this.warnings.innerHTML = '';
+            
+            if (missing.length) {
+                const note = document.createElement('p');
+                note.textContent = I18n.t('composer.missing', { names: missing.join(I18n.t('list.separator')) });
+                this.warnings.appendChild(note);
+            }
+            
+            if (!result.unsupported.length) return;
+            
+            const replaceable = result.unsupported.filter(char => SMSEncoding.SUBSTITUTIONS[char]);
+            const others = result.unsupported.filter(char => !SMSEncoding.SUBSTITUTIONS[char]);
+            
+            const intro = document.createElement('p');
+            intro.textContent = I18n.t('composer.unsupported', { limit: SMSEncoding.LIMITS['UCS-2'].single });
+            this.warnings.appendChild(intro);
+            
+            const list = document.createElement('ul');
+            replaceable.forEach(char => {
+                const item = document.createElement('li');
+                item.innerHTML = I18n.t('composer.replaceable');
+                item.querySelectorAll('code')[0].textContent = this.describeChar(char);
+                item.querySelectorAll('code')[1].textContent = SMSEncoding.SUBSTITUTIONS[char];
+                list.appendChild(item);
+            });
+            
+            if (others.length) {
+                const item = document.createElement('li');
+                const sample = others.slice(0, 10).map(char => this.describeChar(char)).join(' ');
+                item.textContent = I18n.t('composer.irreplaceable', { sample, more: others.length > 10 ? I18n.t('composer.more') : '' });
+                list.appendChild(item);
+            }
+            this.warnings.appendChild(list);
+            
+            // 只有全部字符都可替换时，替换后才能改用GSM-7编码
+            if (replaceable.length && !others.length) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'composer-fix';
+                button.textContent = I18n.t('composer.fix');
+                this.warnings.appendChild(button);
+            }
+        }
+        
+        describeChar(char) {
+            if (/\s/.test(char)) {
+                return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+            }
+            return char;
+        }
+        
+        renderParts(result) {
+            this.partsList.innerHTML = '';
+            
+            result.parts.forEach((part, index) => {
+                const item = document.createElement('li');
+                const meta = document.createElement('span');
+                meta.className = 'composer-part-meta';
+                const units = Array.from(part).reduce((total, char) => total + SMSEncoding.charUnits(char, result.encoding), 0);
+                meta.textContent = I18n.t('composer.part', { index: index + 1, total: result.parts.length, units, limit: result.partLimit });
+                item.appendChild(meta);
+                item.appendChild(document.createTextNode(part));
+                this.partsList.appendChild(item);
+            });
+        }
+    }
+    
+    // 群发费用估算：解析号码文件并按国家汇总费用
+    class CampaignEstimator {
+        constructor() {
+            this.estimator = document.querySelector('.campaign-estimator');
+            this.catalogue = null;
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.estimator) return;
+            
+            this.fileInput = this.estimator.querySelector('.estimator-file');
+            this.textarea = this.estimator.querySelector('.estimator-numbers');
+            this.serviceSelect = this.estimator.querySelector('.estimator-service');
+            this.countrySelect = this.estimator.querySelector('.estimator-country');
+            this.quantityInput = this.estimator.querySelector('.estimator-quantity');
+            this.quantityLabel = this.estimator.querySelector('.estimator-quantity-label');
+            this.result = this.estimator.querySelector('.estimator-result');
+            
+            PriceCatalogue.load()
+                .then(catalogue => {
+                    this.catalogue = catalogue;
+                    this.populateCountries();
+                })
+                .catch(() => {
+                    this.showError(I18n.t('estimator.loadFailed'));
+                });
+            
+            this.fileInput.addEventListener('change', () => this.readFile());
+            this.estimator.querySelector('.estimator-run').addEventListener('click', () => this.estimate());
+            this.serviceSelect.addEventListener('change', () => this.updateQuantityLabel());
+            this.updateQuantityLabel();
+            
+            document.addEventListener('currencyChanged', () => {
+                if (this.report) this.renderReport();
+            });
+        }
+        
+        populateCountries() {
+            this.catalogue.countries.forEach(country => {
+                const option = document.createElement('option');
+                option.value = country.iso;
+                option.textContent = `${I18n.countryName(country)} (+${country.callingCode})`;
+                this.countrySelect.appendChild(option);
+            });
+        }
+        
+        updateQuantityLabel() {
+            const column = PriceCatalogue.columns[this.serviceSelect.value];
+            this.quantityLabel.textContent = I18n.t(column && column.perMinute ? 'estimator.minutesPerNumber' : 'estimator.messagesPerNumber');
+        }
+        
+        readFile() {
+            const file = this.fileInput.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                this.textarea.value = reader.result;
+                this.estimate();
+            };
+            reader.onerror = () => this.showError(I18n.t('estimator.readFailed'));
+            reader.readAsText(file);
+        }
+        
+        // 从CSV/TXT中提取号码：每行取第一个只含号码字符的字段，表头等文字行会被跳过
+        extractNumbers(text) {
+            return text.split(/\r?\n/)
+                .map(line => line.split(/[,;\t]/).map(cell => cell.replace(/^["']|["']$/g, '').trim()))
+                .map(cells => cells.find(cell => /^[\d\s\-+().]+$/.test(cell)))
+                .filter(Boolean);
+        }
+        
+        estimate() {
+            if (!this.catalogue) {
+                this.showError(I18n.t('estimator.notReady'));
+                return;
+            }
+            
+            const numbers = this.extractNumbers(this.textarea.value);
+            if (!numbers.length) {
+                this.showError(I18n.t('estimator.noNumbers'));
+                return;
+            }
+            
+            const service = this.serviceSelect.value;
+            const quantity = Math.max(1, parseInt(this.quantityInput.value, 10) || 1);
+            const defaultCountry = this.countrySelect.value;
+            
+            const seen = new Set();
+            const groups = new Map();
+            const details = [];
+            const counts = { invalid: 0, duplicate: 0, unpriced: 0 };
+            
+            numbers.forEach(raw => {
+                const phone = PhoneNumber.parse(raw, defaultCountry);
+                const e164 = phone.valid ? phone.e164 : '';
+                let status = 'valid';
+                let country = null;
+                
+                if (!phone.valid) {
+                    status = 'invalid';
+                } else if (seen.has(e164)) {
+                    status = 'duplicate';
+                } else {
+                    seen.add(e164);
+                    country = this.catalogue.countries.find(item => item.iso === phone.country);
+                    if (!country || typeof country[service] !== 'number') {
+                        status = 'unpriced';
+                    }
+                }
+                
+                if (status === 'valid') {
+                    if (!groups.has(country.iso)) {
+                        groups.set(country.iso, { country, count: 0 });
+                    }
+                    groups.get(country.iso).count++;
+                } else {
+                    counts[status]++;
+                }
+                
+                details.push({ raw, e164, iso: phone.country || '', status, error: phone.error || '' });
+            });
+            
+            const rows = Array.from(groups.values()).map(group => {
+                const price = group.country[service];
+                const units = group.count * quantity;
+                return {
+                    country: group.country,
+                    count: group.count,
+                    price,
+                    units,
+                    subtotal: Math.round(price * units * 10000) / 10000
+                };
+            }).sort((a, b) => b.subtotal - a.subtotal);
+            
+            this.report = { service, quantity, rows, details, counts, total: numbers.length };
+            this.renderReport();
+        }
+        
+        renderReport() {
+            const { service, rows, counts, total } = this.report;
+            const column = PriceCatalogue.columns[service];
+            const validCount = rows.reduce((sum, row) => sum + row.count, 0);
+            const totalCost = rows.reduce((sum, row) => sum + row.subtotal, 0);
+            
+            this.result.innerHTML = `
+                <p class="estimator-summary">
+                    ${I18n.t('estimator.summary', { total, valid: validCount, invalid: counts.invalid, duplicate: counts.duplicate, unpriced: counts.unpriced })}
+                </p>
+                <div class="table-responsive">
+                    <table class="pricing-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">${I18n.t('estimator.country')}</th>
+                                <th scope="col">${I18n.t('estimator.callingCode')}</th>
+                                <th scope="col">${I18n.t('estimator.numbers')}</th>
+                                <th scope="col">${I18n.t('estimator.unitPrice', { label: column.label })}</th>
+                                <th scope="col">${I18n.t('estimator.units')}</th>
+                                <th scope="col">${I18n.t('estimator.subtotal')}</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                        <tfoot>
+                            <tr>
+                                <th scope="row" colspan="5">${I18n.t('estimator.total')}</th>
+                                <td class="estimator-total">${Currency.format(totalCost)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <button type="button" class="btn btn-primary estimator-download">${I18n.t('estimator.download')}</button>
+            `;
+            
+            const body = this.result.querySelector('tbody');
+            rows.forEach(row => {
+                const tr = body.insertRow();
+                [
+                    I18n.countryName(row.country),
+                    `+${row.country.callingCode}`,
+                    row.count,
+                    PriceCatalogue.formatPrice(row.price, column),
+                    `${row.units} ${column.unit}`,
+                    Currency.format(row.subtotal)
+                ].forEach(text => {
+                    tr.insertCell().textContent = text;
+                });
+            });
+            
+            this.result.querySelector('.estimator-download').addEventListener('click', () => this.downloadReport());
+        }
+        
+        formatAmount(value) {
+            return value.toFixed(value < 1 ? 4 : 2);
+        }
+        
+        downloadReport() {
+            const { service, quantity, rows, details } = this.report;
+            const column = PriceCatalogue.columns[service];
+            
+            const lines = [
+                [I18n.t('estimator.csv.service'), column.label, I18n.t('estimator.csv.quantity'), `${quantity} ${column.unit}`],
+                [],
+                [
+                    I18n.t('estimator.country'), 'ISO', I18n.t('estimator.callingCode'), I18n.t('estimator.numbers'),
+                    I18n.t('estimator.csv.unitPrice'), I18n.t('estimator.units'), I18n.t('estimator.csv.subtotal')
+                ],
+                ...rows.map(row => [
+                    I18n.countryName(row.country), row.country.iso, `+${row.country.callingCode}`,
+                    row.count, row.price, row.units, row.subtotal
+                ]),
+                [I18n.t('estimator.csv.sum'), '', '', rows.reduce((sum, row) => sum + row.count, 0), '', '',
+                    this.formatAmount(rows.reduce((sum, row) => sum + row.subtotal, 0))],
+                [],
+                [I18n.t('estimator.csv.raw'), 'E.164', 'ISO', I18n.t('estimator.csv.status'), I18n.t('estimator.csv.note')],
+                ...details.map(item => [item.raw, item.e164, item.iso, I18n.t(`estimator.status.${item.status}`), item.error])
+            ];
+            
+            const csv = lines.map(line => line.map(value => this.escapeCSV(value)).join(',')).join('\r\n');
+            // 添加BOM，确保Excel正确识别中文
+            const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `campaign-estimate-${new Date().toISOString().slice(0, 10)}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+        
+        // 以 = + - @ 等开头的文本会被Excel当作公式或数字（号码和区号会丢掉 +），加 ' 前缀按文本处理
+        escapeCSV(value) {
+            let text = String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+        
+        showError(text) {
+            this.result.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'estimator-error';
+            message.textContent = text;
+            this.result.appendChild(message);
+        }
+    }
+    
+    // 接口调用示例代码生成
+    const ApiSnippets = {
+        endpoint: 'https://api.niuzisms.com/sms/send',
+        apiKey: 'YOUR_API_KEY',
+        
+        // 各语言的生成函数，参数为请求体对象
+        languages: {
+            curl: function(body) {
+                const json = JSON.stringify(body, null, 2).replace(/'/g, "'\\''");
+                return [
+                    `curl -X POST ${ApiSnippets.endpoint} \\`,
+                    `  -H "Authorization: Bearer ${ApiSnippets.apiKey}" \\`,
+                    '  -H "Content-Type: application/json" \\',
+                    `  -d '${json}'`
+                ].join('\n');
+            },
+            
+            python: function(body) {
+                return [
+                    'import requests',
+                    '',
+                    'response = requests.post(',
+                    `    "${ApiSnippets.endpoint}",`,
+                    `    headers={"Authorization": "Bearer ${ApiSnippets.apiKey}"},`,
+                    `    json=${ApiSnippets.indent(JSON.stringify(body, null, 4), '    ')},`,
+                    '    timeout=10,',
+                    ')',
+                    'print(response.status_code, response.json())'
+                ].join('\n');
+            },
+            
+            node: function(body) {
+                return [
+                    `const response = await fetch('${ApiSnippets.endpoint}', {`,
+                    "    method: 'POST',",
+                    '    headers: {',
+                    `        'Authorization': 'Bearer ${ApiSnippets.apiKey}',`,
+                    "        'Content-Type': 'application/json'",
+                    '    },',
+                    `    body: JSON.stringify(${ApiSnippets.indent(JSON.stringify(body, null, 4), '    ')})`,
+                    '});',
+                    '',
+                    'console.log(response.status, await response.json());'
+                ].join('\n');
+            },
+            
+            java: function(body) {
+                return [
+                    'import java.net.URI;',
+                    'import java.net.http.HttpClient;',
+                    'import java.net.http.HttpRequest;',
+                    'import java.net.http.HttpResponse;',
+                    '',
+                    'public class SendSms {',
+                    '    public static void main(String[] args) throws Exception {',
+                    `        String body = ${JSON.stringify(JSON.stringify(body))};`,
+                    '',
+                    '        HttpRequest request = HttpRequest.newBuilder()',
+                    `            .uri(URI.create("${ApiSnippets.endpoint}"))`,
+                    `            .header("Authorization", "Bearer ${ApiSnippets.apiKey}")`,
+                    '            .header("Content-Type", "application/json")',
+                    '            .POST(HttpRequest.BodyPublishers.ofString(body))',
+                    '            .build();',
+                    '',
+                    '        HttpResponse<String> response = HttpClient.newHttpClient()',
+                    '            .send(request, HttpResponse.BodyHandlers.ofString());',
+                    '        System.out.println(response.statusCode() + " " + response.body());',
+                    '    }',
+                    '}'
+                ].join('\n');
+            },
+            
+            php: function(body) {
+                return [
+                    '<?php',
+                    `$payload = ${ApiSnippets.toPhp(body, '')};`,
+                    '',
+                    `$ch = curl_init('${ApiSnippets.endpoint}');`,
+                    'curl_setopt_array($ch, [',
+                    '    CURLOPT_POST => true,',
+                    '    CURLOPT_RETURNTRANSFER => true,',
+                    '    CURLOPT_HTTPHEADER => [',
+                    `        'Authorization: Bearer ${ApiSnippets.apiKey}',`,
+                    "        'Content-Type: application/json',",
+                    '    ],',
+                    '    CURLOPT_POSTFIELDS => json_encode($payload, JSON_UNESCAPED_UNICODE),',
+                    ']);',
+                    '',
+                    '$response = curl_exec($ch);',
+                    '$status = curl_getinfo($ch, CURLINFO_HTTP_CODE);',
+                    'curl_close($ch);',
+                    '',
+                    "echo $status . ' ' . $response . PHP_EOL;"
+                ].join('\n');
+            },
+            
+            go: function(body) {
+                const json = JSON.stringify(body, null, 2);
+                // 原始字符串不能包含反引号，此时改用普通字符串
+                const literal = json.includes('`') ? JSON.stringify(JSON.stringify(body)) : `\`${json}\``;
+                return [
+                    'package main',
+                    '',
+                    'import (',
+                    '\t"fmt"',
+                    '\t"io"',
+                    '\t"net/http"',
+                    '\t"strings"',
+                    ')',
+                    '',
+                    'func main() {',
+                    `\tbody := strings.NewReader(${literal})`,
+                    '',
+                    `\treq, err := http.NewRequest("POST", "${ApiSnippets.endpoint}", body)`,
+                    '\tif err != nil {',
+                    '\t\tpanic(err)',
+                    '\t}',
+                    `\treq.Header.Set("Authorization", "Bearer ${ApiSnippets.apiKey}")`,
+                    '\treq.Header.Set("Content-Type", "application/json")',
+                    '',
+                    '\tresp, err := http.DefaultClient.Do(req)',
+                    '\tif err != nil {',
+                    '\t\tpanic(err)',
+                    '\t}',
+                    '\tdefer resp.Body.Close()',
+                    '',
+                    '\tdata, _ := io.ReadAll(resp.Body)',
+                    '\tfmt.Println(resp.StatusCode, string(data))',
+                    '}'
+                ].join('\n');
+            }
+        },
+        
+        generate: function(language, body) {
+            return this.languages[language](body);
+        },
+        
+        // 多行代码除第一行外统一缩进
+        indent: function(text, prefix) {
+            return text.split('\n').join(`\n${prefix}`);
+        },
+        
+        // 转换为 PHP 数组字面量
+        toPhp: function(value, indent) {
+            if (value && typeof value === 'object') {
+                const inner = `${indent}    `;
+                const entries = Object.keys(value).map(key =>
+                    `${inner}${this.toPhp(key)} => ${this.toPhp(value[key], inner)},`
+                );
+                return entries.length ? `[\n${entries.join('\n')}\n${indent}]` : '[]';
+            }
+            if (typeof value === 'string') {
+                return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+            }
+            return JSON.stringify(value);
+        }
+    };
+    
+    // 模拟短信接口：按选择的场景返回与正式接口格式一致的结果，不会真实发送
+    const ApiMock = {
+        // 模拟网络延迟（毫秒）
+        latency: 400,
+        
+        send: function(body, scenario) {
+            return PriceCatalogue.load()
+                .catch(() => null)
+                .then(catalogue => new Promise(resolve => {
+                    setTimeout(() => resolve(this.respond(body, scenario, catalogue)), this.latency);
+                }));
+        },
+        
+        respond: function(body, scenario, catalogue) {
+            const requestId = this.id('req');
+            const phone = PhoneNumber.parse(body.to);
+            
+            // 号码无效时无论选择哪个场景都返回号码错误，与正式接口的校验顺序一致
+            if (scenario === 'invalid_number' || !phone.valid) {
+                return this.error(400, 'Bad Request', requestId, {
+                    code: 'INVALID_NUMBER',
+                    message: 'The recipient is not a valid phone number in E.164 format.',
+                    field: 'to'
+                });
+            }
+            
+            const missing = (body.template.match(/\{(\w+)\}/g) || [])
+                .map(match => match.slice(1, -1))
+                .filter(name => !(name in body.variables));
+            if (missing.length) {
+                return this.error(400, 'Bad Request', requestId, {
+                    code: 'MISSING_VARIABLE',
+                    message: `Template variable "${missing[0]}" has no value.`,
+                    field: 'variables'
+                });
+            }
+            
+            const text = body.template.replace(/\{(\w+)\}/g, (match, name) => body.variables[name]);
+            const analysis = SMSEncoding.analyze(text);
+            const country = catalogue ? catalogue.countries.find(item => item.iso === phone.country) : null;
+            const unitPrice = country ? (country.marketing || country.verification) : null;
+            const cost = typeof unitPrice === 'number' ? Math.round(unitPrice * analysis.parts.length * 10000) / 10000 : null;
+            
+            if (scenario === 'insufficient_balance') {
+                return this.error(402, 'Payment Required', requestId, {
+                    code: 'INSUFFICIENT_BALANCE',
+                    message: 'Your account balance is too low to send this message.',
+                    balance: 0.0123,
+                    required: cost,
+                    currency: 'USD'
+                });
+            }
+            
+            if (scenario === 'rate_limited') {
+                return this.error(429, 'Too Many Requests', requestId, {
+                    code: 'RATE_LIMITED',
+                    message: 'Too many requests. Retry after 30 seconds.',
+                    retry_after: 30
+                }, { 'Retry-After': '30', 'X-RateLimit-Limit': '100', 'X-RateLimit-Remaining': '0' });
+            }
+            
+            return {
+                status: 200,
+                statusText: 'OK',
+                headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId },
+                body: {
+                    success: true,
+                    data: {
+                        message_id: this.id('msg'),
+                        to: phone.e164,
+                        country: phone.country,
+                        sender: body.sender,
+                        status: 'queued',
+                        encoding: analysis.encoding,
+                        segments: analysis.parts.length,
+                        price: cost,
+                        currency: 'USD',
+                        created_at: new Date().toISOString()
+                    },
+                    request_id: requestId
+                }
+            };
+        },
+        
+        error: function(status, statusText, requestId, error, headers = {}) {
+            return {
+                status,
+                statusText,
+                headers: Object.assign({ 'Content-Type': 'application/json', 'X-Request-Id': requestId }, headers),
+                body: { success: false, error, request_id: requestId }
+            };
+        },
+        
+        id: function(prefix) {
+            return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        }
+    };
+    
+    // API 调试台：根据表单生成示例代码，并调用模拟接口
+    class ApiPlayground {
+        constructor() {
+            this.playground = document.querySelector('.api-playground');
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.playground) return;
+            
+            this.form = this.playground.querySelector('.playground-form');
+            this.error = this.playground.querySelector('.playground-error');
+            this.response = this.playground.querySelector('.playground-response code');
+            this.copyStatus = this.playground.querySelector('.playground-copy-status');
+            
+            this.form.addEventListener('input', utils.debounce(() => this.renderSnippets(), 200));
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.tryIt();
+            });
+            
+            this.playground.querySelector('.playground-copy-button').addEventListener('click', () => this.copyActive());
+            
+            this.renderSnippets();
+        }
+        
+        // 读取表单，变量不是合法 JSON 对象时返回 null
+        getRequest() {
+            const data = new FormData(this.form);
+            let variables;
+            try {
+                variables = JSON.parse(data.get('variables').trim() || '{}');
+            } catch (error) {
+                variables = null;
+            }
+            
+            if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+                this.showError(I18n.t('playground.invalidJson'));
+                return null;
+            }
+            
+            this.showError('');
+            return {
+                to: data.get('to').trim(),
+                sender: data.get('sender').trim(),
+                template: data.get('template'),
+                variables
+            };
+        }
+        
+        showError(message) {
+            this.error.textContent = message;
+            this.error.hidden = !message;
+        }
+        
+        renderSnippets() {
+            const body = this.getRequest();
+            if (!body) return;
+            
+            this.playground.querySelectorAll('[data-snippet]').forEach(code => {
+                code.textContent = ApiSnippets.generate(code.getAttribute('data-snippet'), body);
+            });
+        }
+        
+        copyActive() {
+            const code = this.playground.querySelector('.tab-panel.active [data-snippet]');
+            if (!code) return;
+            
+            utils.copyText(code.textContent)
+                .then(() => {
+                    this.copyStatus.textContent = I18n.t('playground.copied');
+                })
+                .catch(() => {
+                    this.copyStatus.textContent = I18n.t('playground.copyFailed');
+                })
+                .then(() => {
+                    clearTimeout(this.copyTimer);
+                    this.copyTimer = setTimeout(() => {
+                        this.copyStatus.textContent = '';
+                    }, 3000);
+                });
+        }
+        
+        tryIt() {
+            const body = this.getRequest();
+            if (!body) return;
+            
+            const submit = this.form.querySelector('[type="submit"]');
+            submit.disabled = true;
+            this.response.textContent = I18n.t('playground.sending');
+            
+            ApiMock.send(body, this.form.elements.scenario.value)
+                .then(result => {
+                    const headers = Object.keys(result.headers).map(name => `${name}: ${result.headers[name]}`);
+                    this.response.textContent = [
+                        `HTTP/1.1 ${result.status} ${result.statusText}`,
+                        ...headers,
+                        '',
+                        JSON.stringify(result.body, null, 2)
+                    ].join('\n');
+                    this.response.parentElement.classList.toggle('is-error', result.status >= 400);
+                })
+                .catch(error => {
+                    this.response.textContent = I18n.t('playground.failed', { message: error.message });
+                    this.response.parentElement.classList.add('is-error');
+                    ErrorReporter.capture(error, { context: 'playground' });
+                })
+                .finally(() => {
+                    submit.disabled = false;
+                });
+        }
+    }
+    
+    // 信令事件的订阅与分发，SIP 信令和模拟信令共用
+    class CallSignalling {
+        constructor() {
+            this.handlers = {};
+        }
+        
+        on(event, handler) {
+            this.handlers[event] = handler;
+            return this;
+        }
+        
+        emit(event, detail = {}) {
+            if (this.handlers[event]) {
+                this.handlers[event](detail);
+            }
+        }
+        
+        // 带错误类型的异常，便于组件显示对应提示
+        static error(code) {
+            return Object.assign(new Error(code), { code });
+        }
+        
+        static random(length) {
+            const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+            let result = '';
+            for (let i = 0; i < length; i++) {
+                result += chars[Math.floor(Math.random() * chars.length)];
+            }
+            return result;
+        }
+    }
+    
+    // SIP over WebSocket 信令（RFC 7118）
+    // 只实现网页外呼需要的 INVITE/ACK/CANCEL/BYE 和保持用的 re-INVITE，不支持摘要认证
+    class SipSignalling extends CallSignalling {
+        constructor(options) {
+            super();
+            this.url = options.url;
+            this.domain = options.domain || new URL(options.url).hostname;
+            this.user = options.user || 'webcall';
+            this.displayName = options.displayName || 'Web Call';
+            // RFC 7118 建议 WebSocket 客户端使用 .invalid 域名作为 Via 和 Contact 主机
+            this.host = `${CallSignalling.random(12)}.invalid`;
+            // Via 中的传输协议与服务器地址一致：ws:// 为 WS，wss:// 为 WSS
+            this.transport = /^wss:/i.test(options.url) ? 'WSS' : 'WS';
+            this.socket = null;
+            this.session = null;
+        }
+        
+        connect() {
+            return new Promise((resolve, reject) => {
+                let settled = false;
+                const fail = () => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    reject(CallSignalling.error('unreachable'));
+                };
+                const timer = setTimeout(() => {
+                    fail();
+                    if (this.socket) this.socket.close();
+                }, SipSignalling.CONNECT_TIMEOUT);
+                
+                try {
+                    this.socket = new WebSocket(this.url, 'sip');
+                } catch (error) {
+                    fail();
+                    return;
+                }
+                
+                this.socket.addEventListener('open', () => {
+                    settled = true;
+                    clearTimeout(timer);
+                    resolve();
+                });
+                this.socket.addEventListener('error', fail);
+                this.socket.addEventListener('close', () => {
+                    fail();
+                    if (this.session) {
+                        this.session = null;
+                        this.emit('disconnected');
+                    }
+                });
+                this.socket.addEventListener('message', (e) => {
+                    if (typeof e.data === 'string') this.handleMessage(e.data);
+                });
+            });
+        }
+        
+        invite(target, sdp) {
+            const uri = `sip:${target}@${this.domain}`;
+            this.session = {
+                callId: CallSignalling.random(24),
+                localTag: CallSignalling.random(10),
+                remoteTag: null,
+                requestUri: uri,
+                remoteTarget: uri,
+                routes: [],
+                branch: SipSignalling.branch(),
+                inviteCseq: 1,
+                cseq: 1,
+                confirmed: false,
+                cancelled: false,
+                reinvite: null
+            };
+            
+            this.sendRequest('INVITE', {
+                uri,
+                branch: this.session.branch,
+                cseq: 1,
+                body: sdp
+            });
+        }
+        
+        // 接通前发送 CANCEL，接通后发送 BYE
+        hangup() {
+            const session = this.session;
+            if (!session) return;
+            
+            if (session.confirmed) {
+                session.cseq++;
+                this.sendRequest('BYE', {
+                    uri: session.remoteTarget,
+                    branch: SipSignalling.branch(),
+                    cseq: session.cseq,
+                    toTag: session.remoteTag,
+                    inDialog: true
+                });
+                this.session = null;
+            } else if (!session.cancelled) {
+                session.cancelled = true;
+                this.sendRequest('CANCEL', {
+                    uri: session.requestUri,
+                    branch: session.branch,
+                    cseq: session.inviteCseq
+                });
+            }
+        }
+        
+        // 通话中重新协商媒体（保持/恢复），返回对方的 SDP 应答
+        reinvite(sdp) {
+            const session = this.session;
+            if (!session || !session.confirmed) {
+                return Promise.reject(CallSignalling.error('hold'));
+            }
+            
+            session.cseq++;
+            return new Promise((resolve, reject) => {
+                session.reinvite = { cseq: session.cseq, branch: SipSignalling.branch(), resolve, reject };
+                this.sendRequest('INVITE', {
+                    uri: session.remoteTarget,
+                    branch: session.reinvite.branch,
+                    cseq: session.cseq,
+                    toTag: session.remoteTag,
+                    inDialog: true,
+                    body: sdp
+                });
+            });
+        }
+        
+        close() {
+            this.handlers = {};
+            this.session = null;
+            if (this.socket && this.socket.readyState <= WebSocket.OPEN) {
+                this.socket.close();
+            }
+        }
+        
+        sendRequest(method, options) {
+            const session = this.session;
+            const body = options.body || '';
+            const lines = [
+                `${method} ${options.uri} SIP/2.0`,
+                `Via: SIP/2.0/${this.transport} ${this.host};branch=${options.branch}`,
+                'Max-Forwards: 70'
+            ];
+            
+            if (options.inDialog) {
+                session.routes.forEach(route => lines.push(`Route: ${route}`));
+            }
+            
+            lines.push(
+                `To: <${session.requestUri}>${options.toTag ? `;tag=${options.toTag}` : ''}`,
+                `From: "${this.displayName}" <sip:${this.user}@${this.domain}>;tag=${session.localTag}`,
+                `Call-ID: ${session.callId}`,
+                `CSeq: ${options.cseq} ${method}`,
+                `Contact: <sip:${this.user}@${this.host};transport=ws>`,
+                'Allow: INVITE, ACK, CANCEL, BYE, OPTIONS',
+                `User-Agent: ${SipSignalling.USER_AGENT}`
+            );
+            
+            if (body) {
+                lines.push('Content-Type: application/sdp');
+            }
+            lines.push(`Content-Length: ${new TextEncoder().encode(body).length}`);
+            
+            this.socket.send(`${lines.join('\r\n')}\r\n\r\n${body}`);
+        }
+        
+        // 回复对方发来的请求，Via/From/To/Call-ID/CSeq 原样带回
+        respond(request, status, reason) {
+            const lines = [`SIP/2.0 ${status} ${reason}`];
+            (request.headers.via || []).forEach(via => lines.push(`Via: ${via}`));
+            ['from', 'to', 'call-id', 'cseq'].forEach(name => {
+                const value = SipSignalling.header(request, name);
+                lines.push(`${SipSignalling.HEADER_NAMES[name]}: ${value}`);
+            });
+            lines.push(`User-Agent: ${SipSignalling.USER_AGENT}`, 'Content-Length: 0');
+            
+            this.socket.send(`${lines.join('\r\n')}\r\n\r\n`);
+        }
+        
+        handleMessage(data) {
+            const message = SipSignalling.parse(data);
+            if (!message) return;
+            
+            if (message.status) {
+                this.handleResponse(message);
+            } else {
+                this.handleRequest(message);
+            }
+        }
+        
+        handleResponse(message) {
+            const session = this.session;
+            if (!session || SipSignalling.header(message, 'call-id') !== session.callId || message.method !== 'INVITE') return;
+            
+            if (session.reinvite && message.cseq === session.reinvite.cseq) {
+                this.handleReinviteResponse(message);
+                return;
+            }
+            if (message.cseq !== session.inviteCseq) return;
+            
+            const toTag = SipSignalling.tag(SipSignalling.header(message, 'to'));
+            
+            // 临时响应：180/183 表示对方振铃
+            if (message.status < 200) {
+                if (message.status === 180 || message.status === 183) {
+                    this.emit('progress', { status: message.status });
+                }
+                return;
+            }
+            
+            if (message.status < 300) {
+                // 200 OK 重传时只需要再次确认
+                if (!session.confirmed) {
+                    session.confirmed = true;
+                    session.remoteTag = toTag;
+                    session.remoteTarget = SipSignalling.uri(SipSignalling.header(message, 'contact')) || session.requestUri;
+                    session.routes = (message.headers['record-route'] || [])
+                        .reduce((routes, value) => routes.concat(value.split(/,(?=\s*<)/).map(route => route.trim())), [])
+                        .reverse();
+                }
+                this.sendAck(session.inviteCseq);
+                
+                // CANCEL 与 200 OK 交错时，接通后立即挂断
+                if (session.cancelled) {
+                    this.hangup();
+                    return;
+                }
+                this.emit('answered', { sdp: message.body });
+                return;
+            }
+            
+            // 失败的最终响应在同一事务中确认
+            this.sendRequest('ACK', {
+                uri: session.requestUri,
+                branch: session.branch,
+                cseq: session.inviteCseq,
+                toTag
+            });
+            this.session = null;
+            this.emit('failed', { status: message.status, reason: message.reason, cancelled: session.cancelled });
+        }
+        
+        handleReinviteResponse(message) {
+            const session = this.session;
+            const reinvite = session.reinvite;
+            if (message.status < 200) return;
+            
+            session.reinvite = null;
+            if (message.status < 300) {
+                this.sendAck(reinvite.cseq);
+                reinvite.resolve(message.body);
+            } else {
+                this.sendRequest('ACK', {
+                    uri: session.remoteTarget,
+                    branch: reinvite.branch,
+                    cseq: reinvite.cseq,
+                    toTag: session.remoteTag,
+                    inDialog: true
+                });
+                reinvite.reject(CallSignalling.error('hold'));
+            }
+        }
+        
+        sendAck(cseq) {
+            this.sendRequest('ACK', {
+                uri: this.session.remoteTarget,
+                branch: SipSignalling.branch(),
+                cseq,
+                toTag: this.session.remoteTag,
+                inDialog: true
+            });
+        }
+        
+        handleRequest(message) {
+            if (message.method === 'ACK') return;
+            
+            const session = this.session;
+            const sameCall = Boolean(session) && SipSignalling.header(message, 'call-id') === session.callId;
+            
+            if (message.method === 'BYE' && sameCall) {
+                this.respond(message, 200, 'OK');
+                this.session = null;
+                this.emit('ended', { remote: true });
+            } else if (message.method === 'OPTIONS') {
+                this.respond(message, 200, 'OK');
+            } else if (message.method === 'INVITE') {
+                // 不接听来电，也不接受对方发起的重新协商
+                this.respond(message, sameCall ? 488 : 486, sameCall ? 'Not Acceptable Here' : 'Busy Here');
+            } else {
+                this.respond(message, 405, 'Method Not Allowed');
+            }
+        }
+        
+        static parse(data) {
+            const separator = data.indexOf('\r\n\r\n');
+            const lines = (separator === -1 ? data : data.slice(0, separator)).split('\r\n');
+            const body = separator === -1 ? '' : data.slice(separator + 4);
+            const startLine = lines.shift();
+            
+            const response = startLine.match(/^SIP\/2\.0 (\d{3}) ?(.*)$/);
+            const request = startLine.match(/^([A-Z]+) (\S+) SIP\/2\.0$/);
+            if (!response && !request) return null;
+            
+            const headers = {};
+            lines.forEach(line => {
+                const colon = line.indexOf(':');
+                if (colon < 1) return;
+                const raw = line.slice(0, colon).trim().toLowerCase();
+                const name = SipSignalling.COMPACT_HEADERS[raw] || raw;
+                (headers[name] = headers[name] || []).push(line.slice(colon + 1).trim());
+            });
+            
+            const cseq = (headers.cseq ? headers.cseq[0] : '').split(/\s+/);
+            return {
+                status: response ? parseInt(response[1], 10) : null,
+                reason: response ? response[2] : '',
+                method: request ? request[1] : cseq[1],
+                uri: request ? request[2] : null,
+                cseq: parseInt(cseq[0], 10),
+                headers,
+                body
+            };
+        }
+        
+        static header(message, name) {
+            return message.headers[name] ? message.headers[name][0] : '';
+        }
+        
+        static tag(value) {
+            const match = /;\s*tag=([^;>\s]+)/i.exec(value);
+            return match ? match[1] : null;
+        }
+        
+        static uri(value) {
+            const match = /<([^>]+)>/.exec(value);
+            return match ? match[1] : value.split(';')[0].trim();
+        }
+        
+        // RFC 3261 规定分支参数以 z9hG4bK 开头
+        static branch() {
+            return `z9hG4bK${CallSignalling.random(16)}`;
+        }
+    }
+    
+    SipSignalling.CONNECT_TIMEOUT = 5000;
+    SipSignalling.USER_AGENT = 'NiuziWebCall/1.0';
+    SipSignalling.COMPACT_HEADERS = { v: 'via', f: 'from', t: 'to', i: 'call-id', m: 'contact', l: 'content-length', c: 'content-type' };
+    SipSignalling.HEADER_NAMES = { from: 'From', to: 'To', 'call-id': 'Call-ID', cseq: 'CSeq' };
+    
+    // 内置模拟信令：按号码结尾模拟占线、空号和无人接听，其余号码在振铃后接通
+    // 接通时在本地创建另一端 RTCPeerConnection 应答，完整走一遍浏览器的 WebRTC 流程
+    class MockSignalling extends CallSignalling {
+        constructor() {
+            super();
+            this.timers = [];
+            this.peer = null;
+            this.pendingConnect = null;
+        }
+        
+        connect() {
+            return new Promise((resolve, reject) => {
+                this.pendingConnect = reject;
+                this.later(300, () => {
+                    this.pendingConnect = null;
+                    resolve();
+                });
+            });
+        }
+        
+        invite(target, sdp) {
+            const outcome = Object.keys(MockSignalling.OUTCOMES).find(suffix => target.endsWith(suffix));
+            const failure = outcome ? MockSignalling.OUTCOMES[outcome] : null;
+            
+            if (failure && failure.status !== 480) {
+                this.later(1200, () => this.emit('failed', failure));
+                return;
+            }
+            
+            this.later(800, () => this.emit('progress', { status: 180 }));
+            
+            if (failure) {
+                this.later(MockSignalling.RING_TIMEOUT, () => this.emit('failed', failure));
+                return;
+            }
+            
+            this.later(3000, () => {
+                this.answer(sdp)
+                    .then(answer => {
+                        this.emit('answered', { sdp: answer });
+                        this.later(MockSignalling.CALL_LIMIT, () => {
+                            this.hangup();
+                            this.emit('ended', { remote: true });
+                        });
+                    })
+                    .catch(() => this.emit('failed', { status: 500, reason: 'Server Internal Error' }));
+            });
+        }
+        
+        answer(offer) {
+            if (!this.peer) {
+                this.peer = new RTCPeerConnection();
+            }
+            return this.peer.setRemoteDescription({ type: 'offer', sdp: offer })
+                .then(() => this.peer.createAnswer())
+                .then(answer => this.peer.setLocalDescription(answer))
+                .then(() => ClickToCall.waitForIce(this.peer))
+                .then(() => this.peer.localDescription.sdp);
+        }
+        
+        reinvite(sdp) {
+            return this.peer ? this.answer(sdp) : Promise.reject(CallSignalling.error('hold'));
+        }
+        
+        hangup() {
+            this.timers.forEach(timer => clearTimeout(timer));
+            this.timers = [];
+            if (this.peer) {
+                this.peer.close();
+                this.peer = null;
+            }
+        }
+        
+        // 连接尚未完成时关闭，让 connect() 的 Promise 以失败结束
+        close() {
+            this.hangup();
+            if (this.pendingConnect) {
+                this.pendingConnect(CallSignalling.error('unreachable'));
+                this.pendingConnect = null;
+            }
+            this.handlers = {};
+        }
+        
+        later(delay, callback) {
+            this.timers.push(setTimeout(callback, delay));
+        }
+    }
+    
+    MockSignalling.OUTCOMES = {
+        486: { status: 486, reason: 'Busy Here' },
+        404: { status: 404, reason: 'Not Found' },
+        480: { status: 480, reason: 'Temporarily Unavailable' }
+    };
+    MockSignalling.RING_TIMEOUT = 8000;
+    // 模拟通话最长时间
+    MockSignalling.CALL_LIMIT = 120000;
+    
+    // 网页通话组件：在任意页面放置 <div data-click-to-call></div> 即可使用
+    // data-sip-server 指定默认的 WebSocket 信令地址，data-sip-domain 指定 SIP 域名
+    class ClickToCall {
+        constructor(container) {
+            this.container = container;
+            this.state = 'idle';
+            this.signalling = null;
+            this.peer = null;
+            this.stream = null;
+            this.audioContext = null;
+            this.meterFrame = null;
+            this.timer = null;
+            this.startedAt = 0;
+            this.muted = false;
+            this.held = false;
+            this.holdPending = false;
+            this.dtmf = '';
+            
+            this.init();
+        }
+        
+        static initAll(root = document) {
+            root.querySelectorAll('[data-click-to-call]').forEach(container => new ClickToCall(container));
+        }
+        
+        // 非 trickle ICE：收集完候选地址后再发送 SDP
+        static waitForIce(peer) {
+            if (peer.iceGatheringState === 'complete') return Promise.resolve();
+            
+            return new Promise(resolve => {
+                const done = () => {
+                    if (peer.iceGatheringState !== 'complete') return;
+                    peer.removeEventListener('icegatheringstatechange', done);
+                    clearTimeout(timer);
+                    resolve();
+                };
+                const timer = setTimeout(() => {
+                    peer.removeEventListener('icegatheringstatechange', done);
+                    resolve();
+                }, ClickToCall.ICE_TIMEOUT);
+                peer.addEventListener('icegatheringstatechange', done);
+            });
+        }
+        
+        init() {
+            if (!this.container) return;
+            
+            this.render();
+            
+            this.callButton.addEventListener('click', () => this.start());
+            this.hangupButton.addEventListener('click', () => this.hangup());
+            this.muteButton.addEventListener('click', () => this.toggleMute());
+            this.holdButton.addEventListener('click', () => this.toggleHold());
+            this.modeSelect.addEventListener('change', () => this.updateMode());
+            
+            this.keypad.addEventListener('click', (e) => {
+                const key = e.target.closest('[data-key]');
+                if (key) this.pressKey(key.getAttribute('data-key'));
+            });
+            
+            // 通话中可以直接用键盘发送按键
+            this.container.addEventListener('keydown', (e) => {
+                if (this.state === 'in-call' && /^[0-9*#]$/.test(e.key) && e.target !== this.numberInput) {
+                    this.pressKey(e.key);
+                }
+            });
+            
+            this.numberInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.start();
+                }
+            });
+            
+            // 便于对接本地测试服务器，如 ?sip=wss://127.0.0.1:8089/ws
+            const server = new URLSearchParams(window.location.search).get('sip');
+            if (server) {
+                this.modeSelect.value = 'sip';
+                this.serverInput.value = server;
+            }
+            
+            this.updateMode();
+            this.setState('idle');
+        }
+        
+        render() {
+            const id = `click-to-call-${++ClickToCall.count}`;
+            const keys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '*', '0', '#'];
+            
+            this.container.classList.add('click-to-call');
+            this.container.innerHTML = `
+                <div class="ctc-header">
+                    <span class="ctc-title">${I18n.t('webcall.title')}</span>
+                    <span class="ctc-status" role="status" aria-live="polite"></span>
+                </div>
+                
+                <div class="ctc-settings">
+                    <label for="${id}-mode">${I18n.t('webcall.signalling')}</label>
+                    <select id="${id}-mode" class="ctc-mode">
+                        <option value="mock">${I18n.t('webcall.mock')}</option>
+                        <option value="sip">${I18n.t('webcall.sip')}</option>
+                    </select>
+                    <label for="${id}-server" class="ctc-server-label">${I18n.t('webcall.server')}</label>
+                    <input type="url" id="${id}-server" class="ctc-server" value="${this.container.getAttribute('data-sip-server') || ''}" placeholder="wss://127.0.0.1:8089/ws" spellcheck="false">
+                </div>
+                
+                <label for="${id}-number" class="ctc-number-label">${I18n.t('webcall.number')}</label>
+                <input type="tel" id="${id}-number" class="ctc-number" inputmode="tel" autocomplete="off" placeholder="${I18n.t('webcall.numberPlaceholder')}">
+                
+                <div class="ctc-keypad" role="group" aria-label="${I18n.t('webcall.keypad')}">
+                    ${keys.map(key => `<button type="button" data-key="${key}">${key}</button>`).join('')}
+                </div>
+                
+                <div class="ctc-info">
+                    <span class="ctc-timer" aria-label="${I18n.t('webcall.duration')}">00:00</span>
+                    <span class="ctc-meter" title="${I18n.t('webcall.level')}"><span class="ctc-meter-bar"></span></span>
+                </div>
+                <p class="ctc-dtmf" aria-live="polite"></p>
+                
+                <div class="ctc-actions">
+                    <button type="button" class="ctc-call">${I18n.t('webcall.call')}</button>
+                    <button type="button" class="ctc-mute" aria-pressed="false">${I18n.t('webcall.mute')}</button>
+                    <button type="button" class="ctc-hold" aria-pressed="false">${I18n.t('webcall.hold')}</button>
+                    <button type="button" class="ctc-hangup">${I18n.t('webcall.hangup')}</button>
+                </div>
+                
+                <p class="ctc-error" role="alert" hidden></p>
+                <p class="ctc-hint">${I18n.t('webcall.mockHint')}</p>
+                <audio class="ctc-remote-audio" autoplay></audio>
+            `;
+            
+            this.status = this.container.querySelector('.ctc-status');
+            this.modeSelect = this.container.querySelector('.ctc-mode');
+            this.serverInput = this.container.querySelector('.ctc-server');
+            this.numberInput = this.container.querySelector('.ctc-number');
+            this.keypad = this.container.querySelector('.ctc-keypad');
+            this.timerDisplay = this.container.querySelector('.ctc-timer');
+            this.meterBar = this.container.querySelector('.ctc-meter-bar');
+            this.dtmfDisplay = this.container.querySelector('.ctc-dtmf');
+            this.callButton = this.container.querySelector('.ctc-call');
+            this.muteButton = this.container.querySelector('.ctc-mute');
+            this.holdButton = this.container.querySelector('.ctc-hold');
+            this.hangupButton = this.container.querySelector('.ctc-hangup');
+            this.errorDisplay = this.container.querySelector('.ctc-error');
+            this.hint = this.container.querySelector('.ctc-hint');
+            this.remoteAudio = this.container.querySelector('.ctc-remote-audio');
+        }
+        
+        updateMode() {
+            const sip = this.modeSelect.value === 'sip';
+            this.container.querySelector('.ctc-server-label').hidden = !sip;
+            this.serverInput.hidden = !sip;
+            this.hint.hidden = sip;
+        }
+        
+        setState(state, statusText) {
+            if (state !== this.state && !ClickToCall.TRANSITIONS[this.state].includes(state)) return;
+            
+            this.state = state;
+            this.container.setAttribute('data-state', state);
+            this.status.textContent = statusText || I18n.t(`webcall.state.${state}`);
+            
+            const active = state === 'dialing' || state === 'ringing' || state === 'in-call';
+            this.callButton.disabled = active;
+            this.hangupButton.disabled = !active;
+            this.muteButton.disabled = state !== 'in-call';
+            this.holdButton.disabled = state !== 'in-call';
+            this.modeSelect.disabled = active;
+            this.serverInput.disabled = active;
+            this.numberInput.readOnly = active;
+            
+            this.container.dispatchEvent(new CustomEvent('callStateChanged', {
+                bubbles: true,
+                detail: { state }
+            }));
+        }
+        
+        showError(message) {
+            this.errorDisplay.textContent = message;
+            this.errorDisplay.hidden = !message;
+        }
+        
+        async start() {
+            if (this.state !== 'idle' && this.state !== 'ended') return;
+            
+            const number = this.numberInput.value.replace(/[\s\-()]/g, '');
+            if (!/^\+?[0-9*#]{3,20}$/.test(number)) {
+                this.showError(I18n.t('webcall.error.number'));
+                this.numberInput.focus();
+                return;
+            }
+            
+            this.showError('');
+            this.dtmf = '';
+            this.dtmfDisplay.textContent = '';
+            this.timerDisplay.textContent = '00:00';
+            
+            if (!window.isSecureContext) {
+                this.showError(I18n.t('webcall.error.insecure'));
+                return;
+            }
+            if (!window.RTCPeerConnection || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                this.showError(I18n.t('webcall.error.unsupported'));
+                return;
+            }
+            
+            const sip = this.modeSelect.value === 'sip';
+            const server = this.serverInput.value.trim();
+            if (sip && !/^wss?:\/\//i.test(server)) {
+                this.showError(I18n.t('webcall.error.server'));
+                this.serverInput.focus();
+                return;
+            }
+            
+            this.setState('dialing', I18n.t('webcall.micPrompt'));
+            
+            try {
+                this.stream = await navigator.mediaDevices.getUserMedia({
+                    audio: { echoCancellation: true, noiseSuppression: true }
+                });
+            } catch (error) {
+                const code = error.name === 'NotAllowedError' || error.name === 'SecurityError'
+                    ? 'micDenied'
+                    : error.name === 'NotFoundError' ? 'micMissing' : 'micFailed';
+                this.fail(code);
+                return;
+            }
+            
+            // 等待授权期间用户已挂断
+            if (this.state !== 'dialing') {
+                this.cleanup();
+                return;
+            }
+            
+            this.startMeter();
+            this.status.textContent = I18n.t('webcall.connecting');
+            this.signalling = sip
+                ? new SipSignalling({ url: server, domain: this.container.getAttribute('data-sip-domain') })
+                : new MockSignalling();
+            this.bindSignalling();
+            
+            try {
+                await this.signalling.connect();
+            } catch (error) {
+                // 连接期间用户已挂断时，关闭连接导致的失败不再提示
+                if (this.state !== 'dialing') return;
+                this.fail('unreachable', { url: server });
+                return;
+            }
+            if (this.state !== 'dialing') return;
+            
+            this.status.textContent = I18n.t('webcall.state.dialing');
+            
+            try {
+                this.peer = new RTCPeerConnection({ iceServers: ClickToCall.ICE_SERVERS });
+                this.stream.getTracks().forEach(track => this.peer.addTrack(track, this.stream));
+                this.peer.addEventListener('track', (e) => {
+                    this.remoteAudio.srcObject = e.streams[0] || new MediaStream([e.track]);
+                });
+                
+                await this.peer.setLocalDescription(await this.peer.createOffer());
+                await ClickToCall.waitForIce(this.peer);
+            } catch (error) {
+                this.fail('media');
+                return;
+            }
+            if (this.state !== 'dialing') return;
+            
+            this.signalling.invite(number, this.peer.localDescription.sdp);
+        }
+        
+        bindSignalling() {
+            this.signalling
+                .on('progress', () => this.setState('ringing'))
+                .on('answered', ({ sdp }) => {
+                    this.peer.setRemoteDescription({ type: 'answer', sdp })
+                        .then(() => {
+                            this.setState('in-call');
+                            this.startTimer();
+                        })
+                        .catch(() => this.fail('media'));
+                })
+                .on('failed', ({ status }) => {
+                    const code = ClickToCall.FAILURES[status] || 'failed';
+                    this.fail(code, { status });
+                })
+                .on('ended', () => this.end())
+                .on('disconnected', () => this.fail('disconnected'));
+        }
+        
+        fail(code, params = {}) {
+            this.showError(I18n.t(`webcall.error.${code}`, params));
+            this.end();
+        }
+        
+        hangup() {
+            if (this.signalling) {
+                this.signalling.hangup();
+            }
+            this.end();
+        }
+        
+        end() {
+            this.cleanup();
+            this.setState('ended');
+        }
+        
+        cleanup() {
+            if (this.signalling) {
+                this.signalling.close();
+                this.signalling = null;
+            }
+            if (this.peer) {
+                this.peer.close();
+                this.peer = null;
+            }
+            if (this.stream) {
+                this.stream.getTracks().forEach(track => track.stop());
+                this.stream = null;
+            }
+            if (this.audioContext) {
+                this.audioContext.close();
+                this.audioContext = null;
+            }
+            
+            cancelAnimationFrame(this.meterFrame);
+            clearInterval(this.timer);
+            this.meterBar.style.transform = 'scaleX(0)';
+            this.remoteAudio.srcObject = null;
+            
+            this.muted = false;
+            this.held = false;
+            this.muteButton.setAttribute('aria-pressed', 'false');
+            this.holdButton.setAttribute('aria-pressed', 'false');
+        }
+        
+        pressKey(key) {
+            if (this.state !== 'in-call') {
+                if (!this.numberInput.readOnly) {
+                    this.numberInput.value += key;
+                }
+                return;
+            }
+            
+            // RFC 4733 带外按键，由浏览器随语音流发送
+            const sender = this.peer && this.peer.getSenders().find(item => item.dtmf);
+            if (sender && sender.dtmf.canInsertDTMF !== false) {
+                sender.dtmf.insertDTMF(key, 100, 70);
+            }
+            this.dtmf += key;
+            this.dtmfDisplay.textContent = I18n.t('webcall.dtmf', { digits: this.dtmf });
+        }
+        
+        toggleMute() {
+            if (this.state !== 'in-call') return;
+            
+            this.muted = !this.muted;
+            this.updateTracks();
+            this.muteButton.setAttribute('aria-pressed', String(this.muted));
+        }
+        
+        async toggleHold() {
+            if (this.state !== 'in-call' || this.holdPending) return;
+            
+            const hold = !this.held;
+            this.holdPending = true;
+            this.holdButton.disabled = true;
+            
+            try {
+                this.peer.getTransceivers().forEach(transceiver => {
+                    transceiver.direction = hold ? 'sendonly' : 'sendrecv';
+                });
+                await this.peer.setLocalDescription(await this.peer.createOffer());
+                await ClickToCall.waitForIce(this.peer);
+                const answer = await this.signalling.reinvite(this.peer.localDescription.sdp);
+                await this.peer.setRemoteDescription({ type: 'answer', sdp: answer });
+                
+                this.held = hold;
+                this.updateTracks();
+                this.holdButton.setAttribute('aria-pressed', String(hold));
+                this.status.textContent = I18n.t(hold ? 'webcall.held' : 'webcall.state.in-call');
+            } catch (error) {
+                if (this.state === 'in-call') {
+                    this.showError(I18n.t('webcall.error.hold'));
+                }
+            } finally {
+                this.holdPending = false;
+                this.holdButton.disabled = this.state !== 'in-call';
+            }
+        }
+        
+        // 静音或保持时停止发送麦克风声音
+        updateTracks() {
+            if (!this.stream) return;
+            this.stream.getAudioTracks().forEach(track => {
+                track.enabled = !this.muted && !this.held;
+            });
+        }
+        
+        startTimer() {
+            this.startedAt = Date.now();
+            clearInterval(this.timer);
+            this.timer = setInterval(() => {
+                const seconds = Math.floor((Date.now() - this.startedAt) / 1000);
+                this.timerDisplay.textContent = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+            }, 1000);
+        }
+        
+        // 麦克风音量：按时域采样的均方根值显示
+        startMeter() {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            
+            this.audioContext = new AudioContextClass();
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = 512;
+            this.audioContext.createMediaStreamSource(this.stream).connect(analyser);
+            
+            const samples = new Uint8Array(analyser.fftSize);
+            const draw = () => {
+                analyser.getByteTimeDomainData(samples);
+                let sum = 0;
+                samples.forEach(sample => {
+                    const value = (sample - 128) / 128;
+                    sum += value * value;
+                });
+                const level = this.muted || this.held ? 0 : Math.min(1, Math.sqrt(sum / samples.length) * 4);
+                this.meterBar.style.transform = `scaleX(${level})`;
+                this.meterFrame = requestAnimationFrame(draw);
+            };
+            draw();
+        }
+    }
+    
+    ClickToCall.count = 0;
+    ClickToCall.ICE_TIMEOUT = 2000;
+    ClickToCall.ICE_SERVERS = [];
+    
+    // 通话状态机：空闲 -> 呼叫中 -> 振铃 -> 通话中 -> 已结束
+    ClickToCall.TRANSITIONS = {
+        idle: ['dialing'],
+        dialing: ['ringing', 'in-call', 'ended'],
+        ringing: ['in-call', 'ended'],
+        'in-call': ['ended'],
+        ended: ['dialing']
+    };
+    
+    // SIP 失败响应码对应的提示
+    ClickToCall.FAILURES = {
+        401: 'auth',
+        407: 'auth',
+        404: 'notFound',
+        484: 'notFound',
+        604: 'notFound',
+        408: 'noAnswer',
+        480: 'noAnswer',
+        486: 'busy',
+        600: 'busy',
+        603: 'busy'
+    };
+    
+    // 群呼流程：节点模型、校验和导入导出
+    const BroadcastFlow = {
+        format: 'niuzi-broadcast-flow',
+        version: 1,
+        types: ['prompt', 'menu', 'transfer', 'hangup'],
+        retryReasons: ['busy', 'noAnswer', 'failed'],
+        // 录音以 data URL 保存在导出的 JSON 中
+        maxRecordingSize: 2 * 1024 * 1024,
+        
+        createNode: function(type, id) {
+            const node = { id, type, label: I18n.t(`flow.type.${type}`) };
+            
+            switch (type) {
+                case 'prompt':
+                    return Object.assign(node, { source: 'tts', text: '', recording: null, next: '' });
+                case 'menu':
+                    return Object.assign(node, { text: '', options: [{ digit: '1', target: '' }], timeout: 5, retries: 2, fallback: '' });
+                case 'transfer':
+                    return Object.assign(node, { number: '' });
+                default:
+                    return Object.assign(node, { text: '' });
+            }
+        },
+        
+        // 新建时的示例流程：问候 -> 按键确认或转人工
+        example: function() {
+            const flow = {
+                name: I18n.t('flow.example.name'),
+                start: 'welcome',
+                nodes: [
+                    Object.assign(this.createNode('prompt', 'welcome'), {
+                        label: I18n.t('flow.example.welcomeLabel'),
+                        text: I18n.t('flow.example.welcome'),
+                        next: 'menu'
+                    }),
+                    Object.assign(this.createNode('menu', 'menu'), {
+                        label: I18n.t('flow.example.menuLabel'),
+                        text: I18n.t('flow.example.menu'),
+                        options: [{ digit: '1', target: 'thanks' }, { digit: '2', target: 'agent' }, { digit: '9', target: 'menu' }],
+                        fallback: 'thanks'
+                    }),
+                    Object.assign(this.createNode('transfer', 'agent'), {
+                        label: I18n.t('flow.example.agentLabel'),
+                        number: '+8613800138000'
+                    }),
+                    Object.assign(this.createNode('hangup', 'thanks'), {
+                        label: I18n.t('flow.example.thanksLabel'),
+                        text: I18n.t('flow.example.thanks')
+                    })
+                ],
+                retry: { attempts: 2, interval: 30, on: ['busy', 'noAnswer'] },
+                window: { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5] },
+                schedule: ''
+            };
+            return flow;
+        },
+        
+        // 节点之间的连线：[{ target, label }]
+        edges: function(node) {
+            switch (node.type) {
+                case 'prompt':
+                    return node.next ? [{ target: node.next, label: I18n.t('flow.edge.next') }] : [];
+                case 'menu':
+                    return node.options
+                        .map(option => ({ target: option.target, label: I18n.t('flow.edge.digit', { digit: option.digit }) }))
+                        .concat(node.fallback ? [{ target: node.fallback, label: I18n.t('flow.edge.fallback') }] : []);
+                default:
+                    return [];
+            }
+        },
+        
+        // 从起始节点出发能到达的节点
+        reachable: function(flow) {
+            const byId = new Map(flow.nodes.map(node => [node.id, node]));
+            const visited = new Set();
+            const queue = byId.has(flow.start) ? [flow.start] : [];
+            
+            while (queue.length) {
+                const id = queue.shift();
+                if (visited.has(id)) continue;
+                visited.add(id);
+                this.edges(byId.get(id)).forEach(edge => {
+                    if (byId.has(edge.target)) queue.push(edge.target);
+                });
+            }
+            return visited;
+        },
+        
+        // 语音文本中的 {变量}
+        variables: function(text) {
+            return Array.from(new Set((text || '').match(/\{(\w+)\}/g) || [])).map(match => match.slice(1, -1));
+        },
+        
+        // 解析号码列表：第一行为表头，号码列之外的列都是变量
+        parseRecipients: function(text) {
+            const rows = (text || '').split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(Boolean)
+                .map(line => line.split(/[,;\t]/).map(cell => cell.replace(/^["']|["']$/g, '').trim()));
+            if (!rows.length) return { columns: [], recipients: [] };
+            
+            let header = rows[0];
+            let phoneIndex = header.findIndex(cell => /^(phone|number|mobile|tel|号码|手机|电话)/i.test(cell));
+            const hasHeader = phoneIndex !== -1;
+            if (hasHeader) {
+                rows.shift();
+            } else {
+                // 没有表头时第一列为号码，也没有变量
+                header = [];
+                phoneIndex = 0;
+            }
+            
+            const columns = header.filter((name, index) => index !== phoneIndex && name);
+            const recipients = rows.map((cells, index) => {
+                const values = {};
+                header.forEach((name, column) => {
+                    if (column !== phoneIndex && name) values[name] = cells[column] || '';
+                });
+                return { line: index + (hasHeader ? 2 : 1), phone: PhoneNumber.parse(cells[phoneIndex]), values };
+            });
+            
+            return { columns, recipients };
+        },
+        
+        /**
+         * 校验流程，返回 [{ level: 'error' | 'warning', message, nodeId }]
+         * list 为 parseRecipients 的结果，用于检查变量和收件人当地的呼叫时段
+         */
+        validate: function(flow, list, now = new Date()) {
+            const issues = [];
+            const error = (message, nodeId) => issues.push({ level: 'error', message, nodeId });
+            const warning = (message, nodeId) => issues.push({ level: 'warning', message, nodeId });
+            const ids = new Set(flow.nodes.map(node => node.id));
+            
+            if (!flow.nodes.length) {
+                error(I18n.t('flow.error.empty'));
+                return issues;
+            }
+            if (!ids.has(flow.start)) {
+                error(I18n.t('flow.error.start'));
+            }
+            
+            const reachable = this.reachable(flow);
+            const used = new Map();
+            
+            flow.nodes.forEach(node => {
+                const name = node.label || node.id;
+                
+                this.edges(node).forEach(edge => {
+                    if (!edge.target) {
+                        error(I18n.t('flow.error.noTarget', { node: name, edge: edge.label }), node.id);
+                    } else if (!ids.has(edge.target)) {
+                        error(I18n.t('flow.error.missingTarget', { node: name, edge: edge.label, target: edge.target }), node.id);
+                    }
+                });
+                
+                if (!reachable.has(node.id) && ids.has(flow.start)) {
+                    warning(I18n.t('flow.warning.unreachable', { node: name }), node.id);
+                }
+                
+                if (node.type === 'prompt') {
+                    if (node.source === 'recording' && !node.recording) {
+                        error(I18n.t('flow.error.noRecording', { node: name }), node.id);
+                    } else if (node.source === 'tts' && !node.text.trim()) {
+                        error(I18n.t('flow.error.noText', { node: name }), node.id);
+                    }
+                    if (!node.next) {
+                        warning(I18n.t('flow.warning.noNext', { node: name }), node.id);
+                    }
+                }
+                
+                if (node.type === 'menu') {
+                    if (!node.text.trim()) {
+                        error(I18n.t('flow.error.noText', { node: name }), node.id);
+                    }
+                    if (!node.options.length) {
+                        error(I18n.t('flow.error.noOptions', { node: name }), node.id);
+                    }
+                    const digits = node.options.map(option => option.digit);
+                    digits.filter((digit, index) => digits.indexOf(digit) !== index).forEach(digit => {
+                        error(I18n.t('flow.error.duplicateDigit', { node: name, digit }), node.id);
+                    });
+                    if (!(node.timeout >= 1 && node.timeout <= 30) || !(node.retries >= 0 && node.retries <= 5)) {
+                        error(I18n.t('flow.error.menuLimits', { node: name }), node.id);
+                    }
+                }
+                
+                if (node.type === 'transfer' && !PhoneNumber.parse(node.number).valid) {
+                    error(I18n.t('flow.error.transferNumber', { node: name }), node.id);
+                }
+                
+                // 录音节点不播放文本，不检查变量
+                if (node.type !== 'transfer' && !(node.type === 'prompt' && node.source === 'recording')) {
+                    this.variables(node.text).forEach(variable => {
+                        if (!used.has(variable)) used.set(variable, node);
+                    });
+                }
+            });
+            
+            this.validateSchedule(flow, now, error);
+            
+            if (!list.recipients.length) {
+                warning(I18n.t('flow.warning.noRecipients'));
+                return issues;
+            }
+            
+            used.forEach((node, variable) => {
+                if (!list.columns.includes(variable)) {
+                    error(I18n.t('flow.error.missingVariable', { node: node.label || node.id, variable }), node.id);
+                }
+            });
+            
+            list.recipients.forEach(recipient => {
+                if (!recipient.phone.valid) {
+                    warning(I18n.t('flow.warning.invalidNumber', { line: recipient.line, reason: recipient.phone.error }));
+                    return;
+                }
+                const empty = Array.from(used.keys()).filter(variable => list.columns.includes(variable) && !recipient.values[variable]);
+                if (empty.length) {
+                    warning(I18n.t('flow.warning.emptyVariable', { line: recipient.line, variables: empty.join(', ') }));
+                }
+            });
+            
+            this.validateLocalHours(flow, list, now, warning);
+            return issues;
+        },
+        
+        validateSchedule: function(flow, now, error) {
+            const start = utils.toMinutes(flow.window.start);
+            const end = utils.toMinutes(flow.window.end);
+            
+            if (start === null || end === null || start >= end) {
+                error(I18n.t('flow.error.window'));
+            }
+            if (!flow.window.days.length) {
+                error(I18n.t('flow.error.days'));
+            }
+            if (flow.schedule && new Date(flow.schedule) < now) {
+                error(I18n.t('flow.error.schedulePast'));
+            }
+            if (!(flow.retry.attempts >= 0 && flow.retry.attempts <= 5) || !(flow.retry.interval >= 5 && flow.retry.interval <= 1440)) {
+                error(I18n.t('flow.error.retry'));
+            }
+            if (flow.retry.attempts > 0 && !flow.retry.on.length) {
+                error(I18n.t('flow.error.retryReasons'));
+            }
+        },
+        
+        // 首次呼叫和最后一次重试时，每个收件人所在时区的当地时间都应在呼叫时段内
+        validateLocalHours: function(flow, list, now, warning) {
+            const start = utils.toMinutes(flow.window.start);
+            const end = utils.toMinutes(flow.window.end);
+            if (start === null || end === null || start >= end) return;
+            
+            const first = flow.schedule ? new Date(flow.schedule) : now;
+            const moments = [{ date: first, label: I18n.t('flow.moment.first') }];
+            if (flow.retry.attempts > 0) {
+                moments.push({
+                    date: new Date(first.getTime() + flow.retry.attempts * flow.retry.interval * 60000),
+                    label: I18n.t('flow.moment.lastRetry')
+                });
+            }
+            
+            const countries = new Map();
+            list.recipients.filter(recipient => recipient.phone.valid).forEach(recipient => {
+                const iso = recipient.phone.country;
+                countries.set(iso, (countries.get(iso) || 0) + 1);
+            });
+            
+            countries.forEach((count, iso) => {
+                const plan = PhoneNumber.PLANS[iso];
+                for (const moment of moments) {
+                    const zone = plan.zones.find(item => {
+                        const local = utils.localTime(moment.date, item);
+                        return !flow.window.days.includes(local.day) || local.minutes < start || local.minutes >= end;
+                    });
+                    if (zone) {
+                        const local = utils.localTime(moment.date, zone);
+                        warning(I18n.t('flow.warning.outsideHours', {
+                            country: I18n.regionName(iso, plan.name),
+                            count,
+                            moment: moment.label,
+                            zone,
+                            time: `${I18n.t(`flow.day.${local.day}`)} ${local.text}`
+                        }));
+                        break;
+                    }
+                }
+            });
+        },
+        
+        // 导出时不包含号码列表，只记录用到的变量名
+        serialize: function(flow) {
+            const variables = new Set();
+            flow.nodes.forEach(node => this.variables(node.text).forEach(variable => variables.add(variable)));
+            
+            return JSON.stringify({
+                format: this.format,
+                version: this.version,
+                name: flow.name,
+                start: flow.start,
+                variables: Array.from(variables),
+                schedule: flow.schedule || null,
+                window: flow.window,
+                retry: flow.retry,
+                nodes: flow.nodes
+            }, null, 2);
+        },
+        
+        // 导入并补全缺省字段，格式不对时抛出错误
+        // 流程文件可能来自客户，所有字段按类型重新构造，不直接使用文件中的对象
+        parse: function(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(I18n.t('flow.import.invalidJson'));
+            }
+            
+            if (!data || data.format !== this.format || !Array.isArray(data.nodes)) {
+                throw new Error(I18n.t('flow.import.invalidFormat'));
+            }
+            if (data.version > this.version) {
+                throw new Error(I18n.t('flow.import.newerVersion'));
+            }
+            
+            // 节点按 id 互相引用，重复的 id 会让跳转指向错误的节点
+            const ids = new Set();
+            const nodes = data.nodes.map(item => {
+                const node = this.parseNode(item);
+                if (ids.has(node.id)) {
+                    throw new Error(I18n.t('flow.import.duplicateId', { id: node.id }));
+                }
+                ids.add(node.id);
+                return node;
+            });
+            const defaults = this.example();
+            const retry = this.isObject(data.retry) ? data.retry : {};
+            const hours = this.isObject(data.window) ? data.window : {};
+            
+            return {
+                name: this.text(data.name),
+                start: this.text(data.start) || (nodes[0] ? nodes[0].id : ''),
+                nodes,
+                retry: {
+                    attempts: this.integer(retry.attempts, defaults.retry.attempts),
+                    interval: this.integer(retry.interval, defaults.retry.interval),
+                    on: Array.isArray(retry.on) ? retry.on.filter(reason => this.retryReasons.includes(reason)) : defaults.retry.on
+                },
+                window: {
+                    start: this.text(hours.start) || defaults.window.start,
+                    end: this.text(hours.end) || defaults.window.end,
+                    days: Array.isArray(hours.days)
+                        ? hours.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+                        : defaults.window.days
+                },
+                schedule: this.text(data.schedule)
+            };
+        },
+        
+        parseNode: function(item) {
+            if (!this.isObject(item) || !this.types.includes(item.type) || typeof item.id !== 'string' || !/^[\w-]+$/.test(item.id)) {
+                throw new Error(I18n.t('flow.import.invalidNode'));
+            }
+            
+            const node = this.createNode(item.type, item.id);
+            ['label', 'text', 'number', 'next', 'fallback'].forEach(key => {
+                if (key in node && key in item) node[key] = this.text(item[key]);
+            });
+            
+            if (node.type === 'prompt') {
+                node.source = item.source === 'recording' ? 'recording' : 'tts';
+                node.recording = this.parseRecording(item.recording);
+            }
+            if (node.type === 'menu') {
+                node.options = Array.isArray(item.options) ? item.options
+                    .filter(option => this.isObject(option) && FlowDesigner.DIGITS.includes(String(option.digit)))
+                    .map(option => ({ digit: String(option.digit), target: this.text(option.target) })) : [];
+                node.timeout = Math.min(30, Math.max(1, this.integer(item.timeout, node.timeout)));
+                node.retries = Math.min(5, Math.max(0, this.integer(item.retries, node.retries)));
+            }
+            return node;
+        },
+        
+        // 录音只接受 base64 编码的音频 data URL
+        parseRecording: function(recording) {
+            if (!this.isObject(recording) || typeof recording.data !== 'string' ||
+                !/^data:audio\/[\w.+-]+(;[\w.+-]+=[\w.+-]+)*;base64,[A-Za-z0-9+/]*={0,2}$/.test(recording.data)) {
+                return null;
+            }
+            return {
+                name: this.text(recording.name),
+                type: this.text(recording.type),
+                size: this.integer(recording.size, 0),
+                data: recording.data
+            };
+        },
+        
+        isObject: function(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        },
+        
+        text: function(value) {
+            return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+        },
+        
+        integer: function(value, fallback) {
+            const number = typeof value === 'number' || typeof value === 'string' ? parseInt(value, 10) : NaN;
+            return Number.isNaN(number) ? fallback : number;
+        }
+    };
+    
+    // 群呼流程设计器
+    class FlowDesigner {
+        constructor() {
+            this.designer = document.querySelector('.flow-designer');
+            this.flow = null;
+            this.list = { columns: [], recipients: [] };
+            this.issues = [];
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.designer) return;
+            
+            this.form = this.designer.querySelector('.flow-settings');
+            this.nodeList = this.designer.querySelector('.flow-nodes');
+            this.startSelect = this.designer.querySelector('.flow-start');
+            this.preview = this.designer.querySelector('.flow-preview');
+            this.issueList = this.designer.querySelector('.flow-issues');
+            this.status = this.designer.querySelector('.flow-status');
+            this.importInput = this.designer.querySelector('.flow-import');
+            // 录音会让草稿很大，输入时延迟保存，离开页面前再保存一次
+            this.scheduleSave = utils.debounce(() => this.save(), 500);
+            window.addEventListener('pagehide', () => this.save());
+            
+            const saved = utils.storage.get(FlowDesigner.storageKey);
+            try {
+                this.flow = saved ? BroadcastFlow.parse(JSON.stringify(saved)) : BroadcastFlow.example();
+            } catch (error) {
+                this.flow = BroadcastFlow.example();
+            }
+            
+            this.designer.querySelectorAll('[data-add-node]').forEach(button => {
+                button.addEventListener('click', () => this.addNode(button.getAttribute('data-add-node')));
+            });
+            
+            this.form.addEventListener('input', () => this.readSettings());
+            this.form.addEventListener('change', () => this.readSettings());
+            this.startSelect.addEventListener('change', () => {
+                this.flow.start = this.startSelect.value;
+                this.update();
+            });
+            
+            this.nodeList.addEventListener('input', (e) => this.editNode(e));
+            this.nodeList.addEventListener('change', (e) => this.editNode(e));
+            this.nodeList.addEventListener('click', (e) => this.handleNodeAction(e));
+            
+            this.issueList.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-node-link]');
+                if (link) this.focusNode(link.getAttribute('data-node-link'));
+            });
+            
+            this.designer.querySelector('.flow-export').addEventListener('click', () => this.exportFlow());
+            this.designer.querySelector('.flow-reset').addEventListener('click', () => this.reset());
+            this.importInput.addEventListener('change', () => this.importFlow());
+            
+            this.writeSettings();
+            this.render();
+        }
+        
+        writeSettings() {
+            const { flow, form } = this;
+            form.elements.name.value = flow.name;
+            form.elements.schedule.value = flow.schedule;
+            form.elements.windowStart.value = flow.window.start;
+            form.elements.windowEnd.value = flow.window.end;
+            form.elements.attempts.value = flow.retry.attempts;
+            form.elements.interval.value = flow.retry.interval;
+            form.querySelectorAll('[name="days"]').forEach(input => {
+                input.checked = flow.window.days.includes(parseInt(input.value, 10));
+            });
+            form.querySelectorAll('[name="retryOn"]').forEach(input => {
+                input.checked = flow.retry.on.includes(input.value);
+            });
+        }
+        
+        readSettings() {
+            const { flow, form } = this;
+            flow.name = form.elements.name.value.trim();
+            flow.schedule = form.elements.schedule.value;
+            flow.window.start = form.elements.windowStart.value;
+            flow.window.end = form.elements.windowEnd.value;
+            flow.window.days = Array.from(form.querySelectorAll('[name="days"]:checked')).map(input => parseInt(input.value, 10));
+            flow.retry.attempts = parseInt(form.elements.attempts.value, 10);
+            flow.retry.interval = parseInt(form.elements.interval.value, 10);
+            flow.retry.on = Array.from(form.querySelectorAll('[name="retryOn"]:checked')).map(input => input.value);
+            this.list = BroadcastFlow.parseRecipients(form.elements.recipients.value);
+            this.update();
+        }
+        
+        nodeById(id) {
+            return this.flow.nodes.find(node => node.id === id);
+        }
+        
+        addNode(type) {
+            let index = this.flow.nodes.length + 1;
+            while (this.nodeById(`${type}-${index}`)) index++;
+            
+            const node = BroadcastFlow.createNode(type, `${type}-${index}`);
+            this.flow.nodes.push(node);
+            if (!this.flow.start) this.flow.start = node.id;
+            
+            this.render();
+            this.focusNode(node.id);
+        }
+        
+        removeNode(id) {
+            this.flow.nodes = this.flow.nodes.filter(node => node.id !== id);
+            if (this.flow.start === id) {
+                this.flow.start = this.flow.nodes.length ? this.flow.nodes[0].id : '';
+            }
+            // 指向被删除节点的连线保留，由校验提示用户重新选择
+            this.render();
+        }
+        
+        // 表单控件通过 data-field 对应节点字段，菜单选项另带 data-option 序号
+        editNode(e) {
+            const field = e.target.getAttribute('data-field');
+            const item = e.target.closest('[data-node-id]');
+            if (!field || !item) return;
+            
+            const node = this.nodeById(item.getAttribute('data-node-id'));
+            const option = e.target.getAttribute('data-option');
+            const value = e.target.type === 'number' ? parseInt(e.target.value, 10) : e.target.value;
+            
+            if (field === 'recording') {
+                if (e.type === 'change') this.readRecording(node, e.target.files[0]);
+                return;
+            }
+            
+            if (option !== null) {
+                node.options[parseInt(option, 10)][field] = value;
+            } else {
+                node[field] = value;
+            }
+            if (e.target.hasAttribute('data-target-select')) {
+                e.target.setAttribute('data-target-select', value);
+            }
+            
+            // 切换语音来源时需要重新渲染对应的输入项
+            if (field === 'source') {
+                this.render();
+                return;
+            }
+            if (field === 'label') {
+                this.updateNodeNames();
+            }
+            this.update();
+        }
+        
+        handleNodeAction(e) {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-node-id]');
+            if (!button || !item) return;
+            
+            const node = this.nodeById(item.getAttribute('data-node-id'));
+            const action = button.getAttribute('data-action');
+            
+            if (action === 'remove') {
+                this.removeNode(node.id);
+            } else if (action === 'add-option') {
+                const digit = FlowDesigner.DIGITS.find(key => !node.options.some(option => option.digit === key)) || '0';
+                node.options.push({ digit, target: '' });
+                this.render();
+            } else if (action === 'remove-option') {
+                node.options.splice(parseInt(button.getAttribute('data-option'), 10), 1);
+                this.render();
+            } else if (action === 'remove-recording') {
+                node.recording = null;
+                this.render();
+            }
+        }
+        
+        readRecording(node, file) {
+            if (!file) return;
+            
+            if (!file.type.startsWith('audio/')) {
+                this.setStatus(I18n.t('flow.recording.type'), true);
+                return;
+            }
+            if (file.size > BroadcastFlow.maxRecordingSize) {
+                this.setStatus(I18n.t('flow.recording.size', { size: BroadcastFlow.maxRecordingSize / 1024 / 1024 }), true);
+                return;
+            }
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                node.recording = { name: file.name, type: file.type, size: file.size, data: reader.result };
+                this.render();
+            };
+            reader.onerror = () => this.setStatus(I18n.t('flow.recording.failed'), true);
+            reader.readAsDataURL(file);
+        }
+        
+        render() {
+            this.nodeList.innerHTML = '';
+            this.flow.nodes.forEach(node => this.nodeList.appendChild(this.renderNode(node)));
+            this.updateNodeNames();
+            this.update();
+        }
+        
+        renderNode(node) {
+            const item = document.createElement('li');
+            const prefix = utils.escapeHtml(`flow-${node.id}`);
+            item.className = `flow-node flow-node-${node.type}`;
+            item.setAttribute('data-node-id', node.id);
+            item.setAttribute('tabindex', '-1');
+            item.setAttribute('aria-labelledby', `flow-${node.id}-type`);
+            
+            const field = (label, control, name = '') => `
+                <div class="flow-field">
+                    <label for="${prefix}-${name}">${label}</label>
+                    ${control}
+                </div>
+            `;
+            const targetSelect = (name, value, extra = '', allowEmpty = false) => `
+                <select id="${prefix}-${name}" data-field="${name}" ${extra} data-target-select="${utils.escapeHtml(value)}">
+                    ${allowEmpty ? `<option value="">${I18n.t('flow.target.end')}</option>` : `<option value="">${I18n.t('flow.target.choose')}</option>`}
+                </select>
+            `;
+            const ttsHint = `<small>${I18n.t('flow.ttsHint')}</small>`;
+            let body = '';
+            
+            switch (node.type) {
+                case 'prompt':
+                    body = `
+                        <fieldset class="flow-source">
+                            <legend>${I18n.t('flow.source')}</legend>
+                            <label><input type="radio" name="${prefix}-source" value="tts" data-field="source" ${node.source === 'tts' ? 'checked' : ''}> ${I18n.t('flow.source.tts')}</label>
+                            <label><input type="radio" name="${prefix}-source" value="recording" data-field="source" ${node.source === 'recording' ? 'checked' : ''}> ${I18n.t('flow.source.recording')}</label>
+                        </fieldset>
+                        ${node.source === 'tts'
+                            ? field(I18n.t('flow.text'), `<textarea id="${prefix}-text" rows="3" data-field="text">${utils.escapeHtml(node.text)}</textarea>${ttsHint}`, 'text')
+                            : field(I18n.t('flow.recording'), `
+                                <input type="file" id="${prefix}-recording" accept="audio/*" data-field="recording">
+                                ${node.recording ? `
+                                    <div class="flow-recording">
+                                        <audio controls preload="none" src="${utils.escapeHtml(node.recording.data)}"></audio>
+                                        <span>${utils.escapeHtml(node.recording.name)}</span>
+                                        <button type="button" class="flow-link-button" data-action="remove-recording">${I18n.t('flow.recording.remove')}</button>
+                                    </div>
+                                ` : ''}
+                            `, 'recording')}
+                        ${field(I18n.t('flow.next'), targetSelect('next', node.next, '', true), 'next')}
+                    `;
+                    break;
+                case 'menu':
+                    body = `
+                        ${field(I18n.t('flow.menuText'), `<textarea id="${prefix}-text" rows="2" data-field="text">${utils.escapeHtml(node.text)}</textarea>${ttsHint}`, 'text')}
+                        <fieldset class="flow-options">
+                            <legend>${I18n.t('flow.options')}</legend>
+                            ${node.options.map((option, index) => `
+                                <div class="flow-option">
+                                    <select data-field="digit" data-option="${index}" aria-label="${I18n.t('flow.digit')}">
+                                        ${FlowDesigner.DIGITS.map(digit => `<option value="${digit}" ${digit === option.digit ? 'selected' : ''}>${digit}</option>`).join('')}
+                                    </select>
+                                    <select data-field="target" data-option="${index}" data-target-select="${utils.escapeHtml(option.target)}" aria-label="${I18n.t('flow.target')}">
+                                        <option value="">${I18n.t('flow.target.choose')}</option>
+                                    </select>
+                                    <button type="button" class="flow-link-button" data-action="remove-option" data-option="${index}" aria-label="${I18n.t('flow.removeOption', { digit: utils.escapeHtml(option.digit) })}">×</button>
+                                </div>
+                            `).join('')}
+                            <button type="button" class="flow-link-button" data-action="add-option">${I18n.t('flow.addOption')}</button>
+                        </fieldset>
+                        <div class="flow-inline">
+                            ${field(I18n.t('flow.timeout'), `<input type="number" id="${prefix}-timeout" min="1" max="30" value="${utils.escapeHtml(node.timeout)}" data-field="timeout">`, 'timeout')}
+                            ${field(I18n.t('flow.menuRetries'), `<input type="number" id="${prefix}-retries" min="0" max="5" value="${utils.escapeHtml(node.retries)}" data-field="retries">`, 'retries')}
+                        </div>
+                        ${field(I18n.t('flow.fallback'), targetSelect('fallback', node.fallback, '', true), 'fallback')}
+                    `;
+                    break;
+                case 'transfer':
+                    body = field(I18n.t('flow.transferNumber'), `<input type="tel" id="${prefix}-number" value="${utils.escapeHtml(node.number)}" placeholder="+8613800138000" data-field="number">`, 'number');
+                    break;
+                default:
+                    body = field(I18n.t('flow.closing'), `<textarea id="${prefix}-text" rows="2" data-field="text">${utils.escapeHtml(node.text)}</textarea>${ttsHint}`, 'text');
+            }
+            
+            item.innerHTML = `
+                <div class="flow-node-header">
+                    <span class="flow-node-type" id="${prefix}-type">${I18n.t(`flow.type.${node.type}`)}</span>
+                    <input type="text" class="flow-node-label" value="${utils.escapeHtml(node.label)}" data-field="label" aria-label="${I18n.t('flow.label')}">
+                    <code class="flow-node-id">${utils.escapeHtml(node.id)}</code>
+                    <button type="button" class="flow-link-button" data-action="remove" aria-label="${I18n.t('flow.removeNode', { node: utils.escapeHtml(node.label || node.id) })}">${I18n.t('flow.remove')}</button>
+                </div>
+                ${body}
+            `;
+            return item;
+        }
+        
+        // 节点名称变化后更新所有跳转选择框和起始节点选择框
+        updateNodeNames() {
+            const options = this.flow.nodes.map(node => ({ value: node.id, text: node.label || node.id }));
+            
+            this.nodeList.querySelectorAll('[data-target-select]').forEach(select => {
+                this.fillSelect(select, options, select.getAttribute('data-target-select'));
+            });
+            this.fillSelect(this.startSelect, options, this.flow.start, false);
+        }
+        
+        fillSelect(select, options, current, keepFirst = true) {
+            const first = keepFirst ? select.options[0] : null;
+            select.innerHTML = '';
+            if (first) select.appendChild(first);
+            
+            options.forEach(item => {
+                select.appendChild(new Option(item.text, item.value));
+            });
+            
+            // 指向已删除节点的值仍然显示出来，便于用户发现
+            if (current && !options.some(item => item.value === current)) {
+                select.appendChild(new Option(I18n.t('flow.target.missing', { id: current }), current));
+            }
+            select.value = current;
+        }
+        
+        update() {
+            this.issues = BroadcastFlow.validate(this.flow, this.list);
+            this.renderIssues();
+            this.renderPreview();
+            this.scheduleSave();
+        }
+        
+        renderIssues() {
+            const errors = this.issues.filter(issue => issue.level === 'error').length;
+            const warnings = this.issues.length - errors;
+            
+            this.issueList.innerHTML = '';
+            this.designer.querySelector('.flow-summary').textContent = this.issues.length
+                ? I18n.t('flow.summary', { errors, warnings })
+                : I18n.t('flow.valid');
+            
+            this.issues.forEach(issue => {
+                const item = document.createElement('li');
+                item.className = `flow-issue flow-issue-${issue.level}`;
+                if (issue.nodeId && this.nodeById(issue.nodeId)) {
+                    const link = document.createElement('button');
+                    link.type = 'button';
+                    link.className = 'flow-link-button';
+                    link.setAttribute('data-node-link', issue.nodeId);
+                    link.textContent = issue.message;
+                    item.appendChild(link);
+                } else {
+                    item.textContent = issue.message;
+                }
+                this.issueList.appendChild(item);
+            });
+            
+            this.nodeList.querySelectorAll('[data-node-id]').forEach(item => {
+                const id = item.getAttribute('data-node-id');
+                item.classList.toggle('has-error', this.issues.some(issue => issue.nodeId === id && issue.level === 'error'));
+            });
+        }
+        
+        // 以起始节点为根的流程树，已经出现过的节点只显示跳转
+        renderPreview() {
+            const byId = new Map(this.flow.nodes.map(node => [node.id, node]));
+            const shown = new Set();
+            
+            const describe = node => {
+                if (node.type === 'transfer') return I18n.t('flow.preview.transfer', { number: node.number || '?' });
+                if (node.type === 'prompt' && node.source === 'recording') {
+                    return I18n.t('flow.preview.recording', { name: node.recording ? node.recording.name : '?' });
+                }
+                return node.text;
+            };
+            
+            const build = (id, edgeLabel) => {
+                const item = document.createElement('li');
+                const node = byId.get(id);
+                const label = document.createElement('span');
+                label.className = 'flow-preview-edge';
+                label.textContent = edgeLabel ? `${edgeLabel} → ` : '';
+                item.appendChild(label);
+                
+                const name = document.createElement('strong');
+                item.appendChild(name);
+                
+                if (!node) {
+                    name.textContent = I18n.t('flow.target.missing', { id });
+                    item.classList.add('flow-preview-missing');
+                    return item;
+                }
+                
+                name.textContent = I18n.t('flow.preview.node', { type: I18n.t(`flow.type.${node.type}`), name: node.label || node.id });
+                if (shown.has(id)) {
+                    item.classList.add('flow-preview-jump');
+                    return item;
+                }
+                shown.add(id);
+                
+                const text = describe(node);
+                if (text) {
+                    const detail = document.createElement('span');
+                    detail.className = 'flow-preview-text';
+                    detail.textContent = text;
+                    item.appendChild(detail);
+                }
+                
+                const edges = BroadcastFlow.edges(node).filter(edge => edge.target);
+                if (edges.length) {
+                    const children = document.createElement('ul');
+                    edges.forEach(edge => children.appendChild(build(edge.target, edge.label)));
+                    item.appendChild(children);
+                }
+                return item;
+            };
+            
+            this.preview.innerHTML = '';
+            const tree = document.createElement('ul');
+            if (byId.has(this.flow.start)) {
+                tree.appendChild(build(this.flow.start, I18n.t('flow.edge.start')));
+            }
+            
+            const unreachable = this.flow.nodes.filter(node => !shown.has(node.id));
+            unreachable.forEach(node => {
+                const item = document.createElement('li');
+                item.className = 'flow-preview-unreachable';
+                item.textContent = I18n.t('flow.preview.unreachable', { node: node.label || node.id });
+                tree.appendChild(item);
+            });
+            this.preview.appendChild(tree);
+        }
+        
+        focusNode(id) {
+            const item = this.nodeList.querySelector(`[data-node-id="${CSS.escape(id)}"]`);
+            if (!item) return;
+            item.scrollIntoView({ behavior: utils.scrollBehavior(), block: 'center' });
+            item.focus({ preventScroll: true });
+        }
+        
+        // 超出存储配额时只保存不含录音的草稿，并提示用户导出
+        save() {
+            const draft = JSON.parse(BroadcastFlow.serialize(this.flow));
+            if (utils.storage.set(FlowDesigner.storageKey, draft)) return;
+            
+            draft.nodes.forEach(node => {
+                if (node.recording) node.recording = null;
+            });
+            utils.storage.set(FlowDesigner.storageKey, draft);
+            this.setStatus(I18n.t('flow.draftWithoutRecordings'), true);
+        }
+        
+        setStatus(message, isError = false) {
+            this.status.textContent = message;
+            this.status.classList.toggle('is-error', isError);
+        }
+        
+        exportFlow() {
+            const errors = this.issues.filter(issue => issue.level === 'error').length;
+            if (errors) {
+                this.setStatus(I18n.t('flow.export.blocked', { errors }), true);
+                this.issueList.querySelector('.flow-issue-error button, .flow-issue-error').scrollIntoView({ behavior: utils.scrollBehavior(), block: 'nearest' });
+                return;
+            }
+            
+            const blob = new Blob([BroadcastFlow.serialize(this.flow)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const name = (this.flow.name || 'broadcast-flow').replace(/[\\/:*?"<>|\s]+/g, '-');
+            link.href = url;
+            link.download = `${name}-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            this.setStatus(I18n.t('flow.export.done'));
+        }
+        
+        importFlow() {
+            const file = this.importInput.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    this.flow = BroadcastFlow.parse(reader.result);
+                } catch (error) {
+                    this.setStatus(error.message, true);
+                    return;
+                } finally {
+                    this.importInput.value = '';
+                }
+                this.writeSettings();
+                this.render();
+                this.setStatus(I18n.t('flow.import.done', { name: this.flow.name || file.name }));
+            };
+            reader.onerror = () => this.setStatus(I18n.t('flow.import.readFailed'), true);
+            reader.readAsText(file);
+        }
+        
+        reset() {
+            if (!window.confirm(I18n.t('flow.resetConfirm'))) return;
+            
+            this.flow = BroadcastFlow.example();
+            this.writeSettings();
+            this.render();
+            this.setStatus('');
+        }
+    }
+    
+    FlowDesigner.storageKey = 'broadcastFlow';
+    FlowDesigner.DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '*', '#'];
+    
+    // FAQ搜索功能
+    class FAQSearch {
+        constructor() {
+            this.input = document.querySelector('.search-box input[type="search"]');
+            this.button = document.querySelector('.search-box button');
+            this.content = document.querySelector('.faq-content');
+            this.section = document.querySelector('.faq-section');
+            this.entries = [];
+            this.activeQuery = '';
+            // 搜索前各问题的展开状态，清空搜索时恢复
+            this.savedExpansion = null;
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.input || !this.content) return;
+            
+            this.buildIndex();
+            this.createFeedbackElements();
+            this.bindCategories();
+            
+            this.input.addEventListener('input', utils.debounce(() => this.search(this.input.value), 200));
+            
+            this.input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.search(this.input.value);
+                    this.scrollToResults();
+                }
+            });
+            
+            if (this.button) {
+                this.button.addEventListener('click', () => {
+                    this.search(this.input.value);
+                    this.scrollToResults();
+                });
+            }
+            
+            // 从URL恢复搜索词，便于客服分享链接
+            const query = new URLSearchParams(window.location.search).get('q');
+            if (query) {
+                this.input.value = query;
+                this.search(query);
+                this.scrollToResults();
+            }
+        }
+        
+        buildIndex() {
+            this.content.querySelectorAll('.faq-category .faq-item').forEach(item => {
+                const question = item.querySelector('.faq-question');
+                const title = question ? question.querySelector('span') : null;
+                const answer = item.querySelector('.faq-answer');
+                
+                const container = item.closest('[data-accordion]');
+                this.entries.push({
+                    item,
+                    accordion: container ? Accordion.for(container) : null,
+                    category: item.closest('.faq-category'),
+                    question,
+                    title,
+                    answer,
+                    titleText: this.normalize(title ? title.textContent : ''),
+                    answerText: this.normalize(answer ? answer.textContent : '')
+                });
+            });
+        }
+        
+        createFeedbackElements() {
+            this.status = document.createElement('p');
+            this.status.className = 'faq-search-status';
+            this.status.setAttribute('role', 'status');
+            this.status.setAttribute('aria-live', 'polite');
+            this.content.insertBefore(this.status, this.content.firstChild);
+            
+            this.emptyState = document.createElement('div');
+            this.emptyState.className = 'faq-empty';
+            this.emptyState.hidden = true;
+            this.emptyState.innerHTML = I18n.t('faq.empty');
+            this.content.appendChild(this.emptyState);
+        }
+        
+        // 分类卡片跳转到对应的问题分组
+        bindCategories() {
+            document.querySelectorAll('.category-item[data-category]').forEach(card => {
+                card.setAttribute('role', 'button');
+                card.setAttribute('tabindex', '0');
+                
+                const open = () => this.showCategory(card.getAttribute('data-category'));
+                card.addEventListener('click', open);
+                card.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        open();
+                    }
+                });
+            });
+        }
+        
+        showCategory(name) {
+            const category = this.content.querySelector(`.faq-category[data-category="${name}"]`);
+            if (!category) return;
+            
+            // 正在搜索且该分组被过滤掉时，先清空搜索
+            if (category.hidden) {
+                this.input.value = '';
+                this.search('');
+            }
+            
+            utils.smoothScrollTo(category, 80);
+            category.classList.remove('highlighted');
+            void category.offsetWidth;
+            category.classList.add('highlighted');
+            category.addEventListener('animationend', () => category.classList.remove('highlighted'), { once: true });
+            
+            const question = category.querySelector('.faq-item:not([hidden]) .faq-question');
+            if (question) {
+                question.focus({ preventScroll: true });
+            }
+        }
+        
+        normalize(text) {
+            return text.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+        }
+        
+        // 将查询拆分为中文片段和英文/数字单词
+        tokenize(query) {
+            const terms = this.normalize(query).match(/[㐀-鿿]+|[a-z0-9]+/g) || [];
+            return [...new Set(terms)];
+        }
+        
+        search(rawQuery) {
+            const query = rawQuery.trim();
+            if (query === this.activeQuery) return;
+            this.activeQuery = query;
+            
+            this.updateURL(query);
+            this.clearHighlights();
+            
+            const terms = this.tokenize(query);
+            if (!terms.length) {
+                this.reset();
+                return;
+            }
+            
+            if (!this.savedExpansion) {
+                this.savedExpansion = new Map(this.entries.map(entry => [
+                    entry.item,
+                    Boolean(entry.accordion) && entry.accordion.isExpanded(entry.item)
+                ]));
+            }
+            
+            let matchCount = 0;
+            this.entries.forEach(entry => {
+                const result = this.matchEntry(entry, terms);
+                entry.item.hidden = !result;
+                
+                if (result) {
+                    matchCount++;
+                    this.highlight(entry.title, result.highlights);
+                    this.highlight(entry.answer, result.highlights);
+                    if (entry.accordion) {
+                        entry.accordion.toggle(entry.item, Boolean(result.inAnswer));
+                    }
+                }
+            });
+            
+            this.updateCategories();
+            this.emptyState.hidden = matchCount > 0;
+            this.emptyState.querySelector('.faq-empty-query').textContent = query;
+            this.status.textContent = matchCount > 0 ? I18n.t('faq.found', { count: matchCount }) : '';
+        }
+        
+        reset() {
+            this.entries.forEach(entry => {
+                entry.item.hidden = false;
+                if (entry.accordion && this.savedExpansion) {
+                    entry.accordion.toggle(entry.item, this.savedExpansion.get(entry.item));
+                }
+            });
+            this.savedExpansion = null;
+            this.updateCategories();
+            this.emptyState.hidden = true;
+            this.status.textContent = '';
+        }
+        
+        // 所有词都命中才算匹配；返回需要高亮的片段
+        matchEntry(entry, terms) {
+            const highlights = [];
+            let inAnswer = false;
+            
+            for (const term of terms) {
+                const candidates = [term, ...(FAQSearch.SYNONYMS[term] || [])];
+                let matched = null;
+                
+                for (const candidate of candidates) {
+                    matched = this.matchTerm(candidate, entry.titleText) || this.matchTerm(candidate, entry.answerText);
+                    if (matched) break;
+                }
+                
+                if (!matched) return null;
+                
+                highlights.push(...matched);
+                if (matched.some(fragment => !entry.titleText.includes(fragment))) {
+                    inAnswer = true;
+                }
+            }
+            
+            return { highlights, inAnswer };
+        }
+        
+        matchTerm(term, text) {
+            if (!text) return null;
+            if (text.includes(term)) return [term];
+            
+            // 中文：按双字片段计算覆盖率，容忍错别字
+            if (/[㐀-鿿]/.test(term)) {
+                if (term.length < 3) return null;
+                const bigrams = [];
+                for (let i = 0; i < term.length - 1; i++) {
+                    bigrams.push(term.slice(i, i + 2));
+                }
+                const found = bigrams.filter(bigram => text.includes(bigram));
+                // 5个字以内最多缺一个片段，更长的词需要覆盖60%的片段
+                if (term.length > 5) {
+                    return found.length / bigrams.length >= 0.6 ? found : null;
+                }
+                if (found.length && found.length >= bigrams.length - 1) return found;
+                
+                // 中间的错别字会同时破坏两个片段，改为查找只差一个字的同长度片段
+                for (let i = 0; i + term.length <= text.length; i++) {
+                    let diff = 0;
+                    for (let j = 0; j < term.length && diff <= 1; j++) {
+                        if (text[i + j] !== term[j]) diff++;
+                    }
+                    if (diff <= 1) return [text.slice(i, i + term.length)];
+                }
+                return null;
+            }
+            
+            // 英文：允许1-2个字母的拼写错误
+            if (term.length < 3) return null;
+            const maxDistance = term.length >= 8 ? 2 : 1;
+            const words = text.match(/[a-z0-9]+/g) || [];
+            const found = words.filter(word =>
+                Math.abs(word.length - term.length) <= maxDistance &&
+                utils.levenshtein(word, term) <= maxDistance
+            );
+            return found.length ? [...new Set(found)] : null;
+        }
+        
+        highlight(element, fragments) {
+            if (!element || !fragments.length) return;
+            
+            const pattern = new RegExp(
+                fragments
+                    .sort((a, b) => b.length - a.length)
+                    .map(utils.escapeRegExp)
+                    .join('|'),
+                'gi'
+            );
+            
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
+            
+            textNodes.forEach(node => {
+                const text = node.nodeValue;
+                pattern.lastIndex = 0;
+                if (!pattern.test(text)) return;
+                
+                const fragment = document.createDocumentFragment();
+                let lastIndex = 0;
+                text.replace(pattern, (match, offset) => {
+                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+                    const mark = document.createElement('mark');
+                    mark.className = 'faq-highlight';
+                    mark.textContent = match;
+                    fragment.appendChild(mark);
+                    lastIndex = offset + match.length;
+                    return match;
+                });
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+        }
+        
+        clearHighlights() {
+            this.content.querySelectorAll('mark.faq-highlight').forEach(mark => {
+                const parent = mark.parentNode;
+                parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                parent.normalize();
+            });
+        }
+        
+        updateCategories() {
+            this.content.querySelectorAll('.faq-category').forEach(category => {
+                category.hidden = !category.querySelector('.faq-item:not([hidden])');
+            });
+        }
+        
+        updateURL(query) {
+            const url = new URL(window.location.href);
+            if (query) {
+                url.searchParams.set('q', query);
+            } else {
+                url.searchParams.delete('q');
+            }
+            window.history.replaceState(window.history.state, '', url);
+        }
+        
+        scrollToResults() {
+            if (this.section) {
+                utils.smoothScrollTo(this.section, 80);
+            }
+        }
+    }
+    
+    // 常见英文搜索词与页面中文内容的对应关系
+    FAQSearch.SYNONYMS = {
+        sms: ['短信'],
+        message: ['短信', '消息'],
+        voice: ['语音'],
+        call: ['呼叫', '通话', '语音'],
+        price: ['价格', '费用', '计费'],
+        pricing: ['价格', '计费'],
+        cost: ['费用', '价格'],
+        billing: ['计费', '付款'],
+        payment: ['付款', '充值'],
+        recharge: ['充值'],
+        trial: ['试用'],
+        free: ['免费'],
+        country: ['国家', '地区'],
+        countries: ['国家', '地区'],
+        language: ['语言'],
+        key: ['密钥'],
+        support: ['支持', '客服'],
+        contact: ['联系'],
+        delivery: ['到达率', '送达'],
+        limit: ['限制'],
+        account: ['账户']
+    };
+    
+    // 懒加载图片
+    class LazyLoader {
+        constructor() {
+            this.images = document.querySelectorAll('img[data-src]');
+            this.imageObserver = null;
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.images.length) return;
             
             if ('IntersectionObserver' in window) {
                 this.imageObserver = new IntersectionObserver((entries) => {
@@ -202,16 +5234,327 @@
         }
     }
     
+    // 国际电话号码解析、校验与格式化
+    const PhoneNumber = {
+        // 各国编号计划：区号、国内有效号码长度（不含长途前缀）、长途前缀、分组格式和主要时区
+        PLANS: {
+            US: { name: '美国', code: '1', lengths: [10], trunk: '1', groups: [3, 3, 4], zones: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'] },
+            CA: { name: '加拿大', code: '1', lengths: [10], trunk: '1', groups: [3, 3, 4], zones: ['America/Halifax', 'America/Toronto', 'America/Winnipeg', 'America/Edmonton', 'America/Vancouver'] },
+            GB: { name: '英国', code: '44', lengths: [9, 10], trunk: '0', groups: [4, 6], zones: ['Europe/London'] },
+            FR: { name: '法国', code: '33', lengths: [9], trunk: '0', groups: [1, 2, 2, 2, 2], zones: ['Europe/Paris'] },
+            DE: { name: '德国', code: '49', lengths: [7, 8, 9, 10, 11], trunk: '0', groups: [3, 8], zones: ['Europe/Berlin'] },
+            IT: { name: '意大利', code: '39', lengths: [6, 7, 8, 9, 10, 11], trunk: '', groups: [3, 3, 5], zones: ['Europe/Rome'] },
+            ES: { name: '西班牙', code: '34', lengths: [9], trunk: '', groups: [3, 3, 3], zones: ['Europe/Madrid'] },
+            PL: { name: '波兰', code: '48', lengths: [9], trunk: '', groups: [3, 3, 3], zones: ['Europe/Warsaw'] },
+            BE: { name: '比利时', code: '32', lengths: [8, 9], trunk: '0', groups: [3, 2, 2, 2], zones: ['Europe/Brussels'] },
+            NL: { name: '荷兰', code: '31', lengths: [9], trunk: '0', groups: [1, 8], zones: ['Europe/Amsterdam'] },
+            RU: { name: '俄罗斯', code: '7', lengths: [10], trunk: '8', groups: [3, 3, 2, 2], zones: ['Europe/Moscow', 'Asia/Yekaterinburg', 'Asia/Novosibirsk', 'Asia/Vladivostok'] },
+            TR: { name: '土耳其', code: '90', lengths: [10], trunk: '0', groups: [3, 3, 4], zones: ['Europe/Istanbul'] },
+            BR: { name: '巴西', code: '55', lengths: [10, 11], trunk: '0', groups: [2, 5, 4], zones: ['America/Sao_Paulo', 'America/Manaus'] },
+            MX: { name: '墨西哥', code: '52', lengths: [10], trunk: '', groups: [2, 4, 4], zones: ['America/Mexico_City', 'America/Tijuana'] },
+            CL: { name: '智利', code: '56', lengths: [9], trunk: '', groups: [1, 4, 4], zones: ['America/Santiago'] },
+            AR: { name: '阿根廷', code: '54', lengths: [10, 11], trunk: '0', groups: [2, 4, 4], zones: ['America/Argentina/Buenos_Aires'] },
+            CN: { name: '中国', code: '86', lengths: [10, 11], trunk: '0', groups: [3, 4, 4], zones: ['Asia/Shanghai'] },
+            HK: { name: '中国香港', code: '852', lengths: [8], trunk: '', groups: [4, 4], zones: ['Asia/Hong_Kong'] },
+            MO: { name: '中国澳门', code: '853', lengths: [8], trunk: '', groups: [4, 4], zones: ['Asia/Macau'] },
+            TW: { name: '中国台湾', code: '886', lengths: [8, 9], trunk: '0', groups: [3, 3, 3], zones: ['Asia/Taipei'] },
+            JP: { name: '日本', code: '81', lengths: [9, 10], trunk: '0', groups: [2, 4, 4], zones: ['Asia/Tokyo'] },
+            KR: { name: '韩国', code: '82', lengths: [9, 10], trunk: '0', groups: [2, 4, 4], zones: ['Asia/Seoul'] },
+            IN: { name: '印度', code: '91', lengths: [10], trunk: '0', groups: [5, 5], zones: ['Asia/Kolkata'] },
+            PK: { name: '巴基斯坦', code: '92', lengths: [10], trunk: '0', groups: [3, 7], zones: ['Asia/Karachi'] },
+            BD: { name: '孟加拉国', code: '880', lengths: [10], trunk: '0', groups: [4, 6], zones: ['Asia/Dhaka'] },
+            ID: { name: '印度尼西亚', code: '62', lengths: [9, 10, 11, 12], trunk: '0', groups: [3, 4, 5], zones: ['Asia/Jakarta', 'Asia/Makassar', 'Asia/Jayapura'] },
+            PH: { name: '菲律宾', code: '63', lengths: [10], trunk: '0', groups: [3, 3, 4], zones: ['Asia/Manila'] },
+            SG: { name: '新加坡', code: '65', lengths: [8], trunk: '', groups: [4, 4], zones: ['Asia/Singapore'] },
+            MY: { name: '马来西亚', code: '60', lengths: [9, 10], trunk: '0', groups: [2, 4, 4], zones: ['Asia/Kuala_Lumpur'] },
+            TH: { name: '泰国', code: '66', lengths: [8, 9], trunk: '0', groups: [2, 3, 4], zones: ['Asia/Bangkok'] },
+            VN: { name: '越南', code: '84', lengths: [9], trunk: '0', groups: [3, 3, 3], zones: ['Asia/Ho_Chi_Minh'] },
+            AU: { name: '澳大利亚', code: '61', lengths: [9], trunk: '0', groups: [3, 3, 3], zones: ['Australia/Perth', 'Australia/Adelaide', 'Australia/Sydney'] },
+            NZ: { name: '新西兰', code: '64', lengths: [8, 9, 10], trunk: '0', groups: [2, 3, 4], zones: ['Pacific/Auckland'] },
+            AE: { name: '阿联酋', code: '971', lengths: [8, 9], trunk: '0', groups: [2, 3, 4], zones: ['Asia/Dubai'] },
+            SA: { name: '沙特阿拉伯', code: '966', lengths: [9], trunk: '0', groups: [2, 3, 4], zones: ['Asia/Riyadh'] },
+            EG: { name: '埃及', code: '20', lengths: [9, 10], trunk: '0', groups: [3, 3, 4], zones: ['Africa/Cairo'] },
+            NG: { name: '尼日利亚', code: '234', lengths: [10], trunk: '0', groups: [3, 3, 4], zones: ['Africa/Lagos'] },
+            KE: { name: '肯尼亚', code: '254', lengths: [9], trunk: '0', groups: [3, 6], zones: ['Africa/Nairobi'] },
+            ZA: { name: '南非', code: '27', lengths: [9], trunk: '0', groups: [2, 3, 4], zones: ['Africa/Johannesburg'] }
+        },
+        
+        // 加拿大使用的北美编号计划区号，其余+1号码按美国处理
+        CANADA_AREA_CODES: [
+            '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382',
+            '387', '403', '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519',
+            '548', '579', '581', '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742',
+            '753', '778', '780', '782', '807', '819', '825', '867', '873', '879', '902', '905'
+        ],
+        
+        // 根据国际号码（不含+）的前缀识别国家
+        detectCountry: function(digits) {
+            for (let length = 3; length >= 1; length--) {
+                const code = digits.slice(0, length);
+                const matches = Object.keys(this.PLANS).filter(iso => this.PLANS[iso].code === code);
+                if (!matches.length) continue;
+                
+                if (code === '1') {
+                    return this.CANADA_AREA_CODES.includes(digits.slice(1, 4)) ? 'CA' : 'US';
+                }
+                return matches[0];
+            }
+            return null;
+        },
+        
+        /**
+         * 解析号码。以+或00开头视为国际格式，否则按defaultCountry的国内格式处理。
+         * 返回 { valid, e164, country, national, error }
+         */
+        parse: function(raw, defaultCountry) {
+            const value = (raw || '').trim();
+            
+            if (!/^[\d\s\-+().]+$/.test(value) || (value.match(/\+/g) || []).length > 1 || value.indexOf('+') > 0) {
+                return { valid: false, error: I18n.t('phone.invalidChars') };
+            }
+            
+            let digits = value.replace(/\D/g, '');
+            let country = null;
+            let national = '';
+            
+            if (digits.length < 4) {
+                return { valid: false, error: I18n.t('phone.invalid') };
+            }
+            
+            if (value.startsWith('+') || digits.startsWith('00')) {
+                digits = value.startsWith('+') ? digits : digits.slice(2);
+                country = this.detectCountry(digits);
+                if (!country) {
+                    return {
+                        valid: false,
+                        error: I18n.t('phone.unknownCode', { code: digits.slice(0, 3) })
+                    };
+                }
+                national = digits.slice(this.PLANS[country].code.length);
+                
+                // 兼容 +84 0912... 这类在区号后保留长途前缀的写法
+                const trunk = this.PLANS[country].trunk;
+                if (trunk === '0' && national.startsWith('0') && !this.PLANS[country].lengths.includes(national.length)) {
+                    national = national.slice(1);
+                }
+            } else if (defaultCountry && this.PLANS[defaultCountry]) {
+                country = defaultCountry;
+                const plan = this.PLANS[country];
+                national = plan.trunk && digits.startsWith(plan.trunk) && digits.length > Math.min(...plan.lengths)
+                    ? digits.slice(plan.trunk.length)
+                    : digits;
+            } else {
+                return { valid: false, error: I18n.t('phone.needCode') };
+            }
+            
+            const plan = this.PLANS[country];
+            if (!plan.lengths.includes(national.length)) {
+                return {
+                    valid: false,
+                    country,
+                    national,
+                    error: I18n.t('phone.length', { country: I18n.regionName(country, plan.name), lengths: this.describeLengths(plan.lengths) })
+                };
+            }
+            
+            return { valid: true, country, national, e164: `+${plan.code}${national}` };
+        },
+        
+        describeLengths: function(lengths) {
+            const min = Math.min(...lengths);
+            const max = Math.max(...lengths);
+            if (min === max) return String(min);
+            return lengths.length === max - min + 1 ? `${min}-${max}` : lengths.join(I18n.t('list.or'));
+        },
+        
+        // 按国家分组格式化号码，用于输入时的实时格式化
+        format: function(national, country) {
+            const plan = this.PLANS[country];
+            if (!plan) return national;
+            
+            const parts = [];
+            let index = 0;
+            plan.groups.forEach((size, groupIndex) => {
+                if (index >= national.length) return;
+                const isLast = groupIndex === plan.groups.length - 1;
+                parts.push(national.slice(index, isLast ? undefined : index + size));
+                index += size;
+            });
+            return parts.join(' ');
+        },
+        
+        formatAsYouType: function(raw, defaultCountry) {
+            const value = raw.trim();
+            const digits = value.replace(/\D/g, '');
+            
+            if (value.startsWith('+')) {
+                const country = this.detectCountry(digits);
+                if (!country) return '+' + digits;
+                const code = this.PLANS[country].code;
+                const rest = this.format(digits.slice(code.length), country);
+                return rest ? `+${code} ${rest}` : `+${code}`;
+            }
+            
+            const plan = this.PLANS[defaultCountry];
+            if (!plan) return value;
+            if (plan.trunk && digits.startsWith(plan.trunk)) {
+                const rest = this.format(digits.slice(plan.trunk.length), defaultCountry);
+                return rest ? `${plan.trunk} ${rest}` : plan.trunk;
+            }
+            return this.format(digits, defaultCountry);
+        }
+    };
+    
+    // 表单校验规则：通过data-属性声明，按顺序执行，第一个失败的规则生效
+    // validate返回true表示通过，false表示失败，字符串表示带自定义提示的失败，也可以返回Promise
+    const ValidationRules = {
+        email: {
+            applies: field => field.type === 'email',
+            validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+            message: () => I18n.t('validation.email')
+        },
+        tel: {
+            applies: field => field.type === 'tel',
+            validate: (value, param, field, handler) => {
+                const phone = PhoneNumber.parse(value, handler.getPhoneCountry(field));
+                return phone.valid || phone.error;
+            },
+            message: () => I18n.t('validation.tel')
+        },
+        number: {
+            applies: field => field.type === 'number' || field.hasAttribute('data-number'),
+            validate: value => !isNaN(Number(value)),
+            message: () => I18n.t('validation.number')
+        },
+        minlength: {
+            param: field => field.getAttribute('data-minlength') || field.getAttribute('minlength'),
+            validate: (value, min) => value.length >= Number(min),
+            message: min => I18n.t('validation.minlength', { min })
+        },
+        maxlength: {
+            param: field => field.getAttribute('data-maxlength') || field.getAttribute('maxlength'),
+            validate: (value, max) => value.length <= Number(max),
+            message: max => I18n.t('validation.maxlength', { max })
+        },
+        min: {
+            param: field => field.getAttribute('data-min') || field.getAttribute('min'),
+            validate: (value, min) => Number(value) >= Number(min),
+            message: min => I18n.t('validation.min', { min })
+        },
+        max: {
+            param: field => field.getAttribute('data-max') || field.getAttribute('max'),
+            validate: (value, max) => Number(value) <= Number(max),
+            message: max => I18n.t('validation.max', { max })
+        },
+        pattern: {
+            param: field => field.getAttribute('data-pattern') || field.getAttribute('pattern'),
+            validate: (value, pattern, field) => {
+                try {
+                    return new RegExp(`^(?:${pattern})$`).test(value);
+                } catch (error) {
+                    // 页面上的正则写错时不拦截提交，只记录问题
+                    Debug.warn('无效的校验正则:', pattern, field.name || field.id, error);
+                    return true;
+                }
+            },
+            message: () => I18n.t('validation.pattern')
+        },
+        // 跨字段校验，如确认邮箱：data-match="#email"
+        match: {
+            param: field => field.getAttribute('data-match'),
+            validate: (value, selector) => {
+                const other = document.querySelector(selector);
+                return !other || other.value.trim() === value;
+            },
+            message: () => I18n.t('validation.match')
+        },
+        // 异步校验：data-remote指向返回 { valid, message } 的接口
+        remote: {
+            param: field => field.getAttribute('data-remote'),
+            validate: (value, url, field) => {
+                const separator = url.includes('?') ? '&' : '?';
+                return fetch(`${url}${separator}${encodeURIComponent(field.name || 'value')}=${encodeURIComponent(value)}`, {
+                    headers: { 'Accept': 'application/json' }
+                })
+                    .then(response => response.json())
+                    .then(result => result.valid || result.message || false)
+                    // 校验服务不可用时不阻止提交
+                    .catch(() => true);
+            },
+            message: () => I18n.t('validation.remote')
+        }
+    };
+    
+    // 表单提交方式：静态站点没有后端，通过第三方表单服务或邮件/Telegram提交
+    const FormBackends = {
+        json: function(endpoint, data) {
+            return fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(data)
+            }).then(FormBackends.checkResponse);
+        },
+        
+        multipart: function(endpoint, data) {
+            const formData = new FormData();
+            Object.keys(data).forEach(key => formData.append(key, data[key]));
+            
+            return fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body: formData
+            }).then(FormBackends.checkResponse);
+        },
+        
+        mailto: function(endpoint, data, summary) {
+            const subject = encodeURIComponent(I18n.t('form.mailSubject', { title: document.title }));
+            window.location.href = `mailto:${siteConfig.contactEmail}?subject=${subject}&body=${encodeURIComponent(summary)}`;
+            return Promise.resolve({ handoff: 'mailto' });
+        },
+        
+        telegram: function(endpoint, data, summary) {
+            const url = `https://t.me/${siteConfig.telegramUsername}?text=${encodeURIComponent(summary)}`;
+            // 带 noopener 时 window.open 总是返回 null，无法判断是否被拦截，因此手动断开 opener
+            // 弹窗被拦截时直接跳转
+            const popup = window.open(url, '_blank');
+            if (popup) {
+                popup.opener = null;
+            } else {
+                window.location.href = url;
+            }
+            return Promise.resolve({ handoff: 'telegram' });
+        },
+        
+        checkResponse: function(response) {
+            if (!response.ok) {
+                throw new Error(I18n.t('form.submitFailed', { status: response.status }));
+            }
+            return response;
+        }
+    };
+    
     // 表单处理
     class FormHandler {
         constructor() {
-            this.forms = document.querySelectorAll('form');
+            // data-form-handler="false" 的表单由各自的组件处理，不提交到表单后端
+            this.forms = document.querySelectorAll('form:not([data-form-handler="false"])');
+            this.queueKey = 'formQueue';
+            this.validationTokens = new WeakMap();
             this.init();
         }
         
         init() {
-            this.forms.forEach(form => {
+            this.forms.forEach((form, index) => {
                 form.addEventListener('submit', (e) => this.handleSubmit(e));
+                // 使用自定义校验和提示，不使用浏览器默认气泡
+                form.noValidate = true;
+                
+                this.addHoneypot(form);
+                this.trackInteraction(form);
+                this.initDraft(form, index);
                 
                 // 实时验证
                 const inputs = form.querySelectorAll('input, textarea, select');
@@ -219,135 +5562,1055 @@
                     input.addEventListener('blur', () => this.validateField(input));
                     input.addEventListener('input', utils.debounce(() => this.validateField(input), 300));
                 });
+                
+                form.querySelectorAll('input[type="tel"]').forEach(input => this.initPhoneField(input));
+                
+                // 被比较的字段变化时，重新校验确认字段
+                form.querySelectorAll('[data-match]').forEach(input => {
+                    const other = document.querySelector(input.getAttribute('data-match'));
+                    if (other) {
+                        other.addEventListener('input', utils.debounce(() => {
+                            if (input.value.trim()) {
+                                this.validateField(input);
+                            }
+                        }, 300));
+                    }
+                });
+            });
+            
+            // 恢复联网后重新提交离线时保存的表单
+            window.addEventListener('online', () => this.flushQueue());
+            if (navigator.onLine) {
+                this.flushQueue();
+            }
+        }
+        
+        // 隐藏的陷阱字段，正常用户不会填写
+        addHoneypot(form) {
+            const honeypot = document.createElement('input');
+            honeypot.type = 'text';
+            honeypot.name = '_gotcha';
+            honeypot.className = 'form-honeypot';
+            honeypot.tabIndex = -1;
+            honeypot.autocomplete = 'off';
+            honeypot.setAttribute('aria-hidden', 'true');
+            honeypot.style.cssText = 'position: absolute; left: -9999px; width: 1px; height: 1px; opacity: 0;';
+            form.appendChild(honeypot);
+        }
+        
+        // 记录用户首次与表单交互的时间，提交耗时从此刻算起
+        trackInteraction(form) {
+            const mark = () => {
+                if (!form.hasAttribute('data-started-at')) {
+                    form.setAttribute('data-started-at', Date.now());
+                }
+            };
+            ['focusin', 'input', 'pointerdown'].forEach(type => form.addEventListener(type, mark));
+        }
+        
+        isSpam(form) {
+            const honeypot = form.querySelector('.form-honeypot');
+            return Boolean(honeypot && honeypot.value !== '');
+        }
+        
+        // 从未交互或交互后过快提交
+        isTooFast(form) {
+            const startedAt = parseInt(form.getAttribute('data-started-at'), 10);
+            return !startedAt || Date.now() - startedAt < siteConfig.minSubmitSeconds * 1000;
+        }
+        
+        // 草稿自动保存到localStorage
+        initDraft(form, index) {
+            if (form.getAttribute('data-draft') === 'false') return;
+            
+            form.setAttribute('data-draft-key', `formDraft:${window.location.pathname}:${form.id || form.getAttribute('name') || index}`);
+            this.restoreDraft(form);
+            form.addEventListener('input', utils.debounce(() => this.saveDraft(form), 500));
+        }
+        
+        getDraftFields(form) {
+            return Array.from(form.elements).filter(field =>
+                field.name &&
+                !field.classList.contains('form-honeypot') &&
+                !['password', 'file', 'hidden', 'submit', 'button'].includes(field.type)
+            );
+        }
+        
+        saveDraft(form) {
+            const key = form.getAttribute('data-draft-key');
+            if (!key) return;
+            
+            const draft = {};
+            this.getDraftFields(form).forEach(field => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    if (field.checked) {
+                        draft[field.name] = (draft[field.name] || []).concat(field.value);
+                    }
+                } else {
+                    draft[field.name] = field.value;
+                }
+            });
+            utils.storage.set(key, draft);
+        }
+        
+        restoreDraft(form) {
+            const draft = utils.storage.get(form.getAttribute('data-draft-key'));
+            if (!draft) return;
+            
+            this.getDraftFields(form).forEach(field => {
+                if (!(field.name in draft)) return;
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = [].concat(draft[field.name]).includes(field.value);
+                } else {
+                    field.value = draft[field.name];
+                }
+            });
+            // 草稿是用户之前填写的，视为已开始交互
+            form.setAttribute('data-started-at', Date.now() - siteConfig.minSubmitSeconds * 1000);
+        }
+        
+        clearDraft(form) {
+            const key = form.getAttribute('data-draft-key');
+            if (key) {
+                utils.storage.remove(key);
+            }
+        }
+        
+        // 电话号码输入时自动格式化，国家选择变化时重新校验
+        initPhoneField(field) {
+            field.addEventListener('input', () => {
+                if (field.selectionStart !== field.value.length) return;
+                const formatted = PhoneNumber.formatAsYouType(field.value, this.getPhoneCountry(field));
+                if (formatted !== field.value) {
+                    field.value = formatted;
+                }
             });
+            
+            const select = this.getCountrySelect(field);
+            if (select) {
+                select.addEventListener('change', () => {
+                    if (field.value.trim()) {
+                        this.validateField(field);
+                    }
+                });
+            }
+        }
+        
+        getCountrySelect(field) {
+            const selector = field.getAttribute('data-country-select');
+            return selector ? document.querySelector(selector) : null;
+        }
+        
+        getPhoneCountry(field) {
+            const select = this.getCountrySelect(field);
+            return (select && select.value) || field.getAttribute('data-default-country') || '';
+        }
+        
+        async handleSubmit(e) {
+            e.preventDefault();
+            const form = e.target;
+            
+            if (await this.validateForm(form)) {
+                this.clearErrorSummary(form);
+                this.submitForm(form);
+            } else {
+                this.showErrorSummary(form);
+            }
+        }
+        
+        getValidatableFields(form) {
+            return Array.from(form.querySelectorAll('input, textarea, select')).filter(field =>
+                !field.disabled &&
+                !field.classList.contains('form-honeypot') &&
+                !['submit', 'button', 'hidden', 'reset'].includes(field.type)
+            );
+        }
+        
+        async validateForm(form) {
+            const results = await Promise.all(this.getValidatableFields(form).map(field => this.validateField(field)));
+            return results.every(Boolean);
         }
         
-        handleSubmit(e) {
-            e.preventDefault();
-            const form = e.target;
-            
-            if (this.validateForm(form)) {
-                this.submitForm(form);
-            }
+        // 自定义提示：data-msg-规则名（中文）和 data-msg-规则名-en（英文）
+        getCustomMessage(field, name) {
+            return field.getAttribute(I18n.lang === 'en' ? `data-msg-${name}-en` : `data-msg-${name}`);
         }
         
-        validateForm(form) {
-            const inputs = form.querySelectorAll('input, textarea, select');
-            let isValid = true;
-            
-            inputs.forEach(input => {
-                if (!this.validateField(input)) {
-                    isValid = false;
-                }
-            });
-            
-            return isValid;
+        getRuleMessage(field, name, param, result) {
+            const custom = this.getCustomMessage(field, name);
+            if (custom) return custom;
+            if (typeof result === 'string') return result;
+            return ValidationRules[name].message(param);
         }
         
+        // 先执行同步规则，全部通过后再执行异步规则；返回Promise<boolean>
         validateField(field) {
             const value = field.value.trim();
-            const type = field.type;
-            const required = field.hasAttribute('required');
-            
-            let isValid = true;
-            let message = '';
-            
-            if (required && !value) {
-                isValid = false;
-                message = '此字段为必填项';
-            } else if (value) {
-                switch (type) {
-                    case 'email':
-                        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                        if (!emailRegex.test(value)) {
-                            isValid = false;
-                            message = '请输入有效的邮箱地址';
-                        }
-                        break;
-                    case 'tel':
-                        const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-                        if (!phoneRegex.test(value)) {
-                            isValid = false;
-                            message = '请输入有效的电话号码';
-                        }
-                        break;
+            const token = (this.validationTokens.get(field) || 0) + 1;
+            this.validationTokens.set(field, token);
+            
+            if (!value) {
+                const required = field.hasAttribute('required');
+                const message = required ? this.getRequiredMessage(field) : '';
+                this.showFieldValidation(field, !required, message);
+                return Promise.resolve(!required);
+            }
+            
+            const pending = [];
+            for (const name of Object.keys(ValidationRules)) {
+                const rule = ValidationRules[name];
+                const param = rule.param ? rule.param(field) : null;
+                if (rule.param ? param === null : !rule.applies(field)) continue;
+                
+                const result = rule.validate(value, param, field, this);
+                if (result && typeof result.then === 'function') {
+                    pending.push(result.then(outcome => ({ name, param, outcome })));
+                    continue;
                 }
+                if (result !== true) {
+                    this.showFieldValidation(field, false, this.getRuleMessage(field, name, param, result));
+                    return Promise.resolve(false);
+                }
+            }
+            
+            if (!pending.length) {
+                this.showFieldValidation(field, true, '');
+                return Promise.resolve(true);
             }
             
-            this.showFieldValidation(field, isValid, message);
-            return isValid;
+            return Promise.all(pending).then(outcomes => {
+                // 只采用最后一次校验的结果，避免旧请求覆盖新结果
+                if (this.validationTokens.get(field) !== token) {
+                    return !field.classList.contains('error');
+                }
+                const failed = outcomes.find(item => item.outcome !== true);
+                this.showFieldValidation(
+                    field,
+                    !failed,
+                    failed ? this.getRuleMessage(field, failed.name, failed.param, failed.outcome) : ''
+                );
+                return !failed;
+            });
+        }
+        
+        getRequiredMessage(field) {
+            return this.getCustomMessage(field, 'required') || I18n.t('validation.required');
         }
         
         showFieldValidation(field, isValid, message) {
-            const errorElement = field.parentNode.querySelector('.field-error');
+            if (!field.id) {
+                field.id = `field-${Math.random().toString(36).slice(2, 9)}`;
+            }
+            const errorId = `${field.id}-error`;
+            let errorElement = document.getElementById(errorId);
+            const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
             
             if (!isValid) {
                 field.classList.add('error');
+                field.setAttribute('aria-invalid', 'true');
                 if (!errorElement) {
-                    const error = document.createElement('div');
-                    error.className = 'field-error';
-                    error.textContent = message;
-                    field.parentNode.appendChild(error);
-                } else {
-                    errorElement.textContent = message;
+                    errorElement = document.createElement('div');
+                    errorElement.className = 'field-error';
+                    errorElement.id = errorId;
+                    field.parentNode.appendChild(errorElement);
                 }
+                errorElement.textContent = message;
+                field.setAttribute('aria-describedby', describedBy.concat(errorId).join(' '));
             } else {
                 field.classList.remove('error');
+                field.removeAttribute('aria-invalid');
                 if (errorElement) {
                     errorElement.remove();
                 }
+                if (describedBy.length) {
+                    field.setAttribute('aria-describedby', describedBy.join(' '));
+                } else {
+                    field.removeAttribute('aria-describedby');
+                }
+            }
+        }
+        
+        // 提交失败时在表单顶部列出所有错误，并聚焦第一个错误字段
+        showErrorSummary(form) {
+            const invalidFields = this.getValidatableFields(form).filter(field => field.getAttribute('aria-invalid') === 'true');
+            if (!invalidFields.length) return;
+            
+            let summary = form.querySelector('.form-error-summary');
+            if (!summary) {
+                summary = document.createElement('div');
+                summary.className = 'form-error-summary';
+                summary.setAttribute('role', 'alert');
+                form.insertBefore(summary, form.firstChild);
+            }
+            
+            summary.innerHTML = '';
+            const title = document.createElement('p');
+            title.className = 'form-error-summary-title';
+            title.textContent = I18n.t('form.errorSummary', { count: invalidFields.length });
+            summary.appendChild(title);
+            
+            const list = document.createElement('ul');
+            invalidFields.forEach(field => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${field.id}`;
+                const label = field.labels && field.labels.length ? field.labels[0].textContent.trim() : (field.getAttribute('aria-label') || field.name);
+                const error = document.getElementById(`${field.id}-error`);
+                link.textContent = `${label}${I18n.t('label.separator')}${error ? error.textContent : ''}`;
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    field.focus();
+                });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            summary.appendChild(list);
+            
+            invalidFields[0].focus();
+        }
+        
+        clearErrorSummary(form) {
+            const summary = form.querySelector('.form-error-summary');
+            if (summary) {
+                summary.remove();
             }
         }
         
+        // 提交地址：表单的data-endpoint、绝对地址的action，或站点配置
+        getEndpoint(form) {
+            const action = form.getAttribute('action') || '';
+            return form.getAttribute('data-endpoint') ||
+                (/^https?:\/\//.test(action) ? action : '') ||
+                siteConfig.formEndpoint;
+        }
+        
+        collectData(form) {
+            const formData = new FormData(form);
+            formData.delete('_gotcha');
+            
+            // 电话号码统一以E.164格式提交
+            form.querySelectorAll('input[type="tel"][name]').forEach(field => {
+                const phone = PhoneNumber.parse(field.value, this.getPhoneCountry(field));
+                if (phone.valid) {
+                    formData.set(field.name, phone.e164);
+                }
+            });
+            
+            // 静态站点不支持上传文件，只保留文本字段
+            const data = {};
+            formData.forEach((value, key) => {
+                if (typeof value !== 'string') return;
+                data[key] = key in data ? `${data[key]}, ${value}` : value;
+            });
+            return data;
+        }
+        
+        // 生成邮件/Telegram消息正文，使用字段的label作为标题
+        summarize(form, data) {
+            const lines = Object.keys(data).filter(key => data[key]).map(key => {
+                const field = form.elements[key];
+                const element = field && field.labels ? field : null;
+                const label = element && element.labels.length ? element.labels[0].textContent.trim() : key;
+                return `${label}: ${data[key]}`;
+            });
+            return [I18n.t('form.enquiryFrom', { url: window.location.href }), ''].concat(lines).join('\n');
+        }
+        
         async submitForm(form) {
             const submitBtn = form.querySelector('[type="submit"]');
-            const originalText = submitBtn.textContent;
+            const originalText = submitBtn ? submitBtn.textContent : '';
+            
+            // 蜜罐被填写的提交直接丢弃，但不提示失败
+            if (this.isSpam(form)) {
+                this.showMessage(I18n.t('form.success'), 'success');
+                return;
+            }
+            
+            if (this.isTooFast(form)) {
+                this.showMessage(I18n.t('form.tooFast'), 'error');
+                return;
+            }
+            
+            const data = this.collectData(form);
+            const summary = this.summarize(form, data);
+            const endpoint = this.getEndpoint(form);
+            const format = form.getAttribute('data-format') === 'json' ? 'json' : 'multipart';
+            const fallback = form.getAttribute('data-fallback') || siteConfig.formFallback;
+            
+            // 没有可用的表单服务时直接转交邮件或Telegram
+            if (!endpoint) {
+                await this.handoff(form, fallback, data, summary);
+                return;
+            }
+            
+            if (!navigator.onLine) {
+                this.queueSubmission({ endpoint, format, data });
+                this.showMessage(I18n.t('form.offlineSaved'), 'success');
+                this.completeSubmission(form);
+                return;
+            }
             
             try {
-                submitBtn.disabled = true;
-                submitBtn.textContent = '提交中...';
+                if (submitBtn) {
+                    submitBtn.disabled = true;
+                    submitBtn.textContent = I18n.t('form.submitting');
+                }
                 
-                const formData = new FormData(form);
-                const response = await fetch(form.action || '/contact', {
-                    method: 'POST',
-                    body: formData
-                });
+                await FormBackends[format](endpoint, data);
+                this.showMessage(I18n.t('form.success'), 'success');
+                this.completeSubmission(form);
+            } catch (error) {
+                ErrorReporter.capture(error, { context: 'form' });
                 
-                if (response.ok) {
-                    this.showMessage('表单提交成功！', 'success');
-                    form.reset();
+                // fetch网络错误时加入重试队列，其他错误转交备用方式
+                if (error.name === 'TypeError') {
+                    this.queueSubmission({ endpoint, format, data });
+                    this.showMessage(I18n.t('form.connectionLost'), 'success');
+                    this.completeSubmission(form);
                 } else {
-                    throw new Error('提交失败');
+                    await this.handoff(form, fallback, data, summary);
                 }
-            } catch (error) {
-                this.showMessage('提交失败，请稍后重试', 'error');
             } finally {
-                submitBtn.disabled = false;
-                submitBtn.textContent = originalText;
+                if (submitBtn) {
+                    submitBtn.disabled = false;
+                    submitBtn.textContent = originalText;
+                }
+            }
+        }
+        
+        async handoff(form, fallback, data, summary) {
+            const backend = FormBackends[fallback] ? fallback : 'mailto';
+            await FormBackends[backend](null, data, summary);
+            this.showMessage(
+                I18n.t(backend === 'telegram' ? 'form.telegramOpened' : 'form.mailOpened'),
+                'success'
+            );
+            this.completeSubmission(form);
+        }
+        
+        completeSubmission(form) {
+            this.clearDraft(form);
+            form.reset();
+            form.removeAttribute('data-started-at');
+        }
+        
+        queueSubmission(item) {
+            const queue = utils.storage.get(this.queueKey, []);
+            queue.push(Object.assign({ queuedAt: Date.now() }, item));
+            utils.storage.set(this.queueKey, queue);
+        }
+        
+        // 依次重试离线队列，超过7天的记录直接丢弃
+        async flushQueue() {
+            const queue = utils.storage.get(this.queueKey, []);
+            if (!queue.length || this.flushing) return;
+            
+            this.flushing = true;
+            const maxAge = 7 * 24 * 60 * 60 * 1000;
+            const remaining = [];
+            let sent = 0;
+            
+            for (const item of queue) {
+                if (Date.now() - item.queuedAt > maxAge || !FormBackends[item.format]) continue;
+                try {
+                    await FormBackends[item.format](item.endpoint, item.data);
+                    sent++;
+                } catch (error) {
+                    remaining.push(item);
+                }
+            }
+            
+            // 保留重试期间新加入队列的记录
+            const added = utils.storage.get(this.queueKey, []).slice(queue.length);
+            utils.storage.set(this.queueKey, remaining.concat(added));
+            this.flushing = false;
+            
+            if (sent) {
+                this.showMessage(I18n.t('form.queueSent', { count: sent }), 'success');
             }
         }
         
+        // 提示消息通过aria-live区域播报给读屏软件
+        getMessageRegion(type) {
+            const className = type === 'error' ? 'form-messages-alert' : 'form-messages-status';
+            let region = document.querySelector(`.${className}`);
+            if (!region) {
+                region = document.createElement('div');
+                region.className = `form-messages ${className}`;
+                region.setAttribute('role', type === 'error' ? 'alert' : 'status');
+                region.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite');
+                document.body.appendChild(region);
+            }
+            return region;
+        }
+        
         showMessage(text, type) {
             const message = document.createElement('div');
             message.className = `form-message ${type}`;
             message.textContent = text;
             
-            document.body.appendChild(message);
+            this.getMessageRegion(type).appendChild(message);
             
             setTimeout(() => {
                 message.classList.add('show');
             }, 100);
             
-            setTimeout(() => {
-                message.classList.remove('show');
-                setTimeout(() => message.remove(), 300);
-            }, 3000);
+            setTimeout(() => {
+                message.classList.remove('show');
+                setTimeout(() => message.remove(), 300);
+            }, 3000);
+        }
+    }
+    
+    // Cookie同意管理：未选择前默认拒绝统计和营销类Cookie
+    const ConsentManager = {
+        storageKey: 'consent',
+        // 分类变化时提高版本号，让访客重新选择
+        version: 1,
+        categories: ['necessary', 'analytics', 'marketing'],
+        pending: [],
+        banner: null,
+        dialog: null,
+        
+        init: function() {
+            document.querySelectorAll('[data-consent-open]').forEach(link => {
+                link.addEventListener('click', e => {
+                    e.preventDefault();
+                    this.openDialog();
+                });
+            });
+            
+            if (!this.get()) {
+                this.showBanner();
+            }
+        },
+        
+        // 已保存的选择，没有或版本过期时返回 null
+        get: function() {
+            const stored = utils.storage.get(this.storageKey);
+            return stored && stored.version === this.version ? stored : null;
+        },
+        
+        allows: function(category) {
+            if (category === 'necessary') return true;
+            const stored = this.get();
+            return Boolean(stored && stored[category]);
+        },
+        
+        // 已同意时立即执行，否则等用户同意后执行一次
+        whenGranted: function(category, callback) {
+            if (this.allows(category)) {
+                callback();
+            } else {
+                this.pending.push({ category, callback });
+            }
+        },
+        
+        save: function(choices) {
+            const previous = this.get();
+            utils.storage.set(this.storageKey, {
+                version: this.version,
+                analytics: Boolean(choices.analytics),
+                marketing: Boolean(choices.marketing),
+                updatedAt: new Date().toISOString()
+            });
+            
+            Analytics.updateConsent();
+            if (previous && previous.analytics && !choices.analytics) {
+                Analytics.clear();
+            }
+            
+            this.pending = this.pending.filter(item => {
+                if (!this.allows(item.category)) return true;
+                item.callback();
+                return false;
+            });
+            
+            this.hideBanner();
+        },
+        
+        // Google Consent Mode 对应的授权信号
+        signals: function() {
+            const state = value => (value ? 'granted' : 'denied');
+            return {
+                analytics_storage: state(this.allows('analytics')),
+                ad_storage: state(this.allows('marketing')),
+                ad_user_data: state(this.allows('marketing')),
+                ad_personalization: state(this.allows('marketing'))
+            };
+        },
+        
+        privacyUrl: function() {
+            return utils.siteUrl(I18n.lang === 'en' ? 'en/privacy.html' : 'privacy.html');
+        },
+        
+        showBanner: function() {
+            if (this.banner) return;
+            
+            this.banner = document.createElement('section');
+            this.banner.className = 'consent-banner';
+            this.banner.setAttribute('aria-labelledby', 'consent-banner-title');
+            this.banner.innerHTML = `
+                <div class="consent-banner-content">
+                    <h2 id="consent-banner-title" class="consent-title">${I18n.t('consent.title')}</h2>
+                    <p class="consent-message">${I18n.t('consent.message')}<a href="${this.privacyUrl()}">${I18n.t('consent.policy')}</a></p>
+                </div>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-secondary" data-consent="reject">${I18n.t('consent.rejectAll')}</button>
+                    <button type="button" class="btn btn-secondary" data-consent="customize">${I18n.t('consent.customize')}</button>
+                    <button type="button" class="btn btn-primary" data-consent="accept">${I18n.t('consent.acceptAll')}</button>
+                </div>
+            `;
+            
+            this.banner.addEventListener('click', e => {
+                const button = e.target.closest('[data-consent]');
+                if (!button) return;
+                
+                const action = button.getAttribute('data-consent');
+                if (action === 'customize') {
+                    this.openDialog();
+                } else {
+                    this.save({ analytics: action === 'accept', marketing: action === 'accept' });
+                }
+            });
+            
+            document.body.appendChild(this.banner);
+        },
+        
+        hideBanner: function() {
+            if (this.banner) {
+                this.banner.remove();
+                this.banner = null;
+            }
+        },
+        
+        buildDialog: function() {
+            const dialog = document.createElement('dialog');
+            dialog.className = 'consent-dialog';
+            dialog.setAttribute('aria-labelledby', 'consent-dialog-title');
+            
+            const options = this.categories.map(category => `
+                <label class="consent-option">
+                    <input type="checkbox" name="${category}"${category === 'necessary' ? ' checked disabled' : ''}>
+                    <span class="consent-option-title">${I18n.t(`consent.${category}`)}</span>
+                    <span class="consent-option-description">${I18n.t(`consent.${category}Description`)}</span>
+                </label>
+            `).join('');
+            
+            dialog.innerHTML = `
+                <form class="consent-form" method="dialog">
+                    <h2 id="consent-dialog-title" class="consent-title">${I18n.t('consent.dialogTitle')}</h2>
+                    <p class="consent-message">${I18n.t('consent.dialogIntro')}</p>
+                    <div class="consent-options">${options}</div>
+                    <div class="consent-actions">
+                        <button type="button" class="btn btn-secondary" data-consent="reject">${I18n.t('consent.rejectAll')}</button>
+                        <button type="submit" class="btn btn-secondary" data-consent="save">${I18n.t('consent.save')}</button>
+                        <button type="button" class="btn btn-primary" data-consent="accept">${I18n.t('consent.acceptAll')}</button>
+                    </div>
+                    <button type="button" class="consent-close" data-consent="close" aria-label="${I18n.t('consent.close')}">×</button>
+                </form>
+            `;
+            
+            const form = dialog.querySelector('form');
+            form.addEventListener('submit', e => {
+                e.preventDefault();
+                this.save({ analytics: form.elements.analytics.checked, marketing: form.elements.marketing.checked });
+                this.closeDialog();
+            });
+            
+            dialog.addEventListener('click', e => {
+                const button = e.target.closest('[data-consent]');
+                if (!button) return;
+                
+                const action = button.getAttribute('data-consent');
+                if (action === 'accept' || action === 'reject') {
+                    this.save({ analytics: action === 'accept', marketing: action === 'accept' });
+                    this.closeDialog();
+                } else if (action === 'close') {
+                    this.closeDialog();
+                }
+            });
+            
+            document.body.appendChild(dialog);
+            return dialog;
+        },
+        
+        openDialog: function() {
+            if (!this.dialog) {
+                this.dialog = this.buildDialog();
+            }
+            
+            const form = this.dialog.querySelector('form');
+            form.elements.analytics.checked = this.allows('analytics');
+            form.elements.marketing.checked = this.allows('marketing');
+            
+            this.returnFocus = document.activeElement;
+            if (typeof this.dialog.showModal === 'function') {
+                this.dialog.showModal();
+            } else {
+                this.dialog.setAttribute('open', '');
+            }
+            form.elements.analytics.focus();
+        },
+        
+        closeDialog: function() {
+            if (!this.dialog) return;
+            
+            if (typeof this.dialog.close === 'function') {
+                this.dialog.close();
+            } else {
+                this.dialog.removeAttribute('open');
+            }
+            if (this.returnFocus && this.returnFocus.focus) {
+                this.returnFocus.focus();
+            }
+        }
+    };
+    
+    // 错误监控：收集未捕获的异常、未处理的 Promise 拒绝和资源加载失败，
+    // 附带页面、浏览器和最近的操作记录，去重限流后发送到 errorEndpoint
+    const ErrorReporter = {
+        breadcrumbs: [],
+        // 错误指纹 -> 出现次数，重复的错误只发送一次
+        seen: new Map(),
+        sentAt: [],
+        total: 0,
+        pending: [],
+        allowed: false,
+        maxBreadcrumbs: 20,
+        // 每个页面最多发送的报告数和每分钟的上限
+        maxReports: 20,
+        maxPerMinute: 5,
+        
+        init: function() {
+            // 资源加载失败的事件不冒泡，只能在捕获阶段监听
+            window.addEventListener('error', (e) => this.handleError(e), true);
+            window.addEventListener('unhandledrejection', (e) => {
+                this.capture(e.reason, { type: 'unhandledrejection' });
+            });
+            this.recordBreadcrumbs();
+            
+            // 报告包含浏览器信息，同意统计后才发送，之前的报告先暂存
+            ConsentManager.whenGranted('analytics', () => {
+                this.allowed = true;
+                this.flush();
+            });
+        },
+        
+        handleError: function(e) {
+            const element = e.target;
+            if (element && element !== window && element.tagName) {
+                const source = element.currentSrc || element.src || element.href || '';
+                if (!source) return;
+                this.report({
+                    type: 'resource',
+                    message: `Failed to load ${element.tagName.toLowerCase()}`,
+                    source
+                });
+                return;
+            }
+            
+            // 跨域脚本的错误没有任何细节，无法定位，不上报
+            if (!e.error && e.message === 'Script error.' && !e.filename) return;
+            
+            this.capture(e.error || e.message, {
+                type: 'error',
+                source: e.filename,
+                line: e.lineno,
+                column: e.colno
+            });
+        },
+        
+        // 也用于上报已捕获但需要关注的错误，context 说明出错的位置
+        capture: function(error, details = {}) {
+            const isError = error instanceof Error;
+            this.report({
+                type: details.type || 'caught',
+                message: isError ? `${error.name}: ${error.message}` : String(error),
+                stack: isError && error.stack ? error.stack.split('\n').slice(0, 10).join('\n') : '',
+                source: details.source || '',
+                line: details.line || 0,
+                column: details.column || 0,
+                context: details.context || ''
+            });
+        },
+        
+        report: function(details) {
+            const fingerprint = [details.type, details.message, details.source, details.line].join('|');
+            const count = (this.seen.get(fingerprint) || 0) + 1;
+            this.seen.set(fingerprint, count);
+            
+            Debug.error(`[error] ${details.message}`, details);
+            if (count > 1) return;
+            
+            const now = Date.now();
+            this.sentAt = this.sentAt.filter(time => now - time < 60000);
+            if (this.total >= this.maxReports || this.sentAt.length >= this.maxPerMinute) return;
+            this.sentAt.push(now);
+            this.total++;
+            
+            this.pending.push(Object.assign({}, details, {
+                // 不带查询参数，避免上报搜索词等用户输入
+                page: window.location.origin + window.location.pathname,
+                language: I18n.lang,
+                userAgent: navigator.userAgent,
+                viewport: `${window.innerWidth}x${window.innerHeight}`,
+                time: new Date(now).toISOString(),
+                breadcrumbs: this.breadcrumbs.slice()
+            }));
+            this.flush();
+        },
+        
+        // 与统计接口相同，用 text/plain 避免跨域预检；发送失败不再上报，避免循环
+        flush: function() {
+            const endpoint = siteConfig.errorEndpoint;
+            if (!this.allowed || !endpoint || !this.pending.length) return;
+            
+            const body = JSON.stringify({ reports: this.pending.splice(0) });
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+                return;
+            }
+            
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        },
+        
+        // 记录最近的点击、跳转和组件状态变化，不记录输入内容
+        recordBreadcrumbs: function() {
+            document.addEventListener('click', (e) => {
+                const target = e.target.closest && e.target.closest('a, button, summary, label, [role="tab"], [role="button"]');
+                if (target) this.addBreadcrumb('click', this.describe(target));
+            }, true);
+            
+            window.addEventListener('hashchange', () => this.addBreadcrumb('navigation', window.location.hash));
+            window.addEventListener('online', () => this.addBreadcrumb('network', 'online'));
+            window.addEventListener('offline', () => this.addBreadcrumb('network', 'offline'));
+            document.addEventListener('tabChanged', (e) => this.addBreadcrumb('tab', e.detail.panelId));
+            document.addEventListener('callStateChanged', (e) => this.addBreadcrumb('call', e.detail.state));
+        },
+        
+        addBreadcrumb: function(category, message) {
+            this.breadcrumbs.push({ category, message, time: new Date().toISOString() });
+            if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+                this.breadcrumbs.shift();
+            }
+        },
+        
+        // 元素的简短描述，如 button#submit "提交"
+        describe: function(element) {
+            let name = element.tagName.toLowerCase();
+            if (element.id) {
+                name += `#${element.id}`;
+            } else if (element.classList.length) {
+                name += `.${Array.from(element.classList).slice(0, 2).join('.')}`;
+            }
+            
+            const label = (element.getAttribute('aria-label') || element.textContent || '')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .slice(0, 40);
+            return label ? `${name} "${label}"` : name;
+        }
+    };
+    
+    // 统计数据发送目标：接收一批事件，beacon 为 true 时页面即将隐藏
+    const AnalyticsSinks = {
+        gtag: function(events) {
+            if (typeof window.gtag !== 'function') return;
+            events.forEach(event => window.gtag('event', event.name, event.params));
+        },
+        
+        // 优先用 sendBeacon，页面关闭后也能送达；text/plain 避免跨域预检
+        endpoint: function(events, beacon) {
+            const endpoint = siteConfig.analyticsEndpoint;
+            if (!endpoint) return;
+            
+            if (!navigator.onLine) {
+                Analytics.store(events);
+                return;
+            }
+            
+            const body = JSON.stringify({ events, sentAt: Date.now() });
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+                return;
+            }
+            if (beacon) {
+                Analytics.store(events);
+                return;
+            }
+            
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body,
+                keepalive: true
+            })
+                .then(response => {
+                    if (!response.ok) throw new Error(response.status);
+                })
+                .catch(() => Analytics.store(events));
+        },
+        
+        console: function(events) {
+            events.forEach(event => Debug.log('[analytics]', event.name, event.params));
+        }
+    };
+    
+    // 统计事件分发：抽样、批量发送，页面隐藏时立即发送，离线时暂存
+    const Analytics = {
+        queue: [],
+        timer: null,
+        hiddenCallbacks: [],
+        storageKey: 'analyticsQueue',
+        sampleKey: 'analyticsSample',
+        // 离线暂存的事件上限，超出时丢弃最早的
+        storageLimit: 200,
+        
+        init: function() {
+            this.setupGtag();
+            ConsentManager.whenGranted('analytics', () => this.loadGtag());
+            
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.handleHidden();
+                }
+            });
+            // Safari 在页面卸载时不一定触发 visibilitychange
+            window.addEventListener('pagehide', () => this.handleHidden());
+            window.addEventListener('online', () => this.retry());
+            
+            this.retry();
+        },
+        
+        // 每个访客只抽样一次，保证同一访客的数据完整
+        isSampled: function() {
+            let sample = utils.storage.get(this.sampleKey);
+            if (typeof sample !== 'number') {
+                sample = Math.random();
+                utils.storage.set(this.sampleKey, sample);
+            }
+            return sample < siteConfig.analyticsSampleRate;
+        },
+        
+        usesGtag: function() {
+            return Boolean(siteConfig.gaMeasurementId) && siteConfig.analyticsSinks.includes('gtag');
+        },
+        
+        // 先写入默认的授权状态，gtag脚本加载后按该状态工作
+        setupGtag: function() {
+            if (!this.usesGtag()) return;
+            
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = function() {
+                window.dataLayer.push(arguments);
+            };
+            window.gtag('consent', 'default', ConsentManager.signals());
+            window.gtag('js', new Date());
+        },
+        
+        // 同意统计后才加载gtag脚本
+        loadGtag: function() {
+            const id = siteConfig.gaMeasurementId;
+            if (!this.usesGtag() || !this.isSampled()) return;
+            
+            window.gtag('config', id);
+            
+            const script = document.createElement('script');
+            script.async = true;
+            script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(id)}`;
+            document.head.appendChild(script);
+        },
+        
+        track: function(name, params = {}) {
+            if (!ConsentManager.allows('analytics') || !this.isSampled()) return;
+            
+            this.queue.push({
+                name,
+                params,
+                page: window.location.pathname,
+                lang: I18n.lang,
+                time: Date.now()
+            });
+            
+            if (this.queue.length >= siteConfig.analyticsBatchSize) {
+                this.flush(false);
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(false), siteConfig.analyticsFlushInterval);
+            }
+        },
+        
+        // 页面隐藏前需要补充记录的数据（如停留时间）
+        onHidden: function(callback) {
+            this.hiddenCallbacks.push(callback);
+        },
+        
+        handleHidden: function() {
+            this.hiddenCallbacks.forEach(callback => callback());
+            this.flush(true);
+        },
+        
+        flush: function(beacon) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (!this.queue.length) return;
+            
+            const events = this.queue.splice(0);
+            siteConfig.analyticsSinks.forEach(name => {
+                if (AnalyticsSinks[name]) {
+                    AnalyticsSinks[name](events, beacon);
+                }
+            });
+        },
+        
+        // 暂存发送失败的事件，只有自建接口会重试
+        store: function(events) {
+            const stored = utils.storage.get(this.storageKey, []).concat(events);
+            utils.storage.set(this.storageKey, stored.slice(-this.storageLimit));
+        },
+        
+        updateConsent: function() {
+            if (this.usesGtag() && typeof window.gtag === 'function') {
+                window.gtag('consent', 'update', ConsentManager.signals());
+            }
+        },
+        
+        // 撤回同意时丢弃未发送的数据，并删除统计Cookie
+        clear: function() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.queue = [];
+            utils.storage.remove(this.storageKey);
+            utils.storage.remove(this.sampleKey);
+            
+            document.cookie.split(';')
+                .map(cookie => cookie.split('=')[0].trim())
+                .filter(name => /^_ga/.test(name))
+                .forEach(name => {
+                    document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`;
+                    document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; domain=${window.location.hostname}`;
+                });
+        },
+        
+        retry: function() {
+            const stored = utils.storage.get(this.storageKey, []);
+            if (!stored.length || !navigator.onLine) return;
+            
+            utils.storage.remove(this.storageKey);
+            AnalyticsSinks.endpoint(stored, false);
         }
-    }
+    };
     
     // 性能监控
     class PerformanceMonitor {
         constructor() {
+            this.reported = new Set();
+            this.lcp = null;
+            this.cls = { value: 0, entries: [], session: [], sessionValue: 0 };
+            this.interactions = new Map();
             this.init();
         }
         
@@ -359,119 +6622,333 @@
             
             // 监控Core Web Vitals
             this.measureCoreWebVitals();
+            
+            // LCP、CLS、INP 在页面隐藏时才有最终值
+            Analytics.onHidden(() => this.finalize());
         }
         
         measurePerformance() {
             if ('performance' in window) {
                 const navigation = performance.getEntriesByType('navigation')[0];
                 const paint = performance.getEntriesByType('paint');
+                if (!navigation) return;
                 
+                // 各项时间都从导航开始计算
                 const metrics = {
-                    loadTime: navigation.loadEventEnd - navigation.loadEventStart,
-                    domContentLoaded: navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart,
+                    loadTime: navigation.loadEventEnd - navigation.startTime,
+                    domContentLoaded: navigation.domContentLoadedEventEnd - navigation.startTime,
                     firstPaint: paint.find(p => p.name === 'first-paint')?.startTime,
                     firstContentfulPaint: paint.find(p => p.name === 'first-contentful-paint')?.startTime
                 };
                 
-                console.log('Performance Metrics:', metrics);
+                Debug.log('Performance Metrics:', metrics);
                 
                 // 发送到分析服务
-                this.sendAnalytics('performance', metrics);
+                Analytics.track('performance', Object.fromEntries(
+                    Object.entries(metrics)
+                        .filter(([, value]) => Number.isFinite(value))
+                        .map(([key, value]) => [key, Math.round(value)])
+                ));
+                
+                // TTFB：预渲染页面从激活时开始计算
+                this.report('TTFB', Math.max(navigation.responseStart - (navigation.activationStart || 0), 0));
             }
         }
         
         measureCoreWebVitals() {
-            // LCP (Largest Contentful Paint)
-            if ('PerformanceObserver' in window) {
-                new PerformanceObserver((entryList) => {
-                    const entries = entryList.getEntries();
-                    const lastEntry = entries[entries.length - 1];
-                    console.log('LCP:', lastEntry.startTime);
-                    this.sendAnalytics('lcp', lastEntry.startTime);
-                }).observe({ entryTypes: ['largest-contentful-paint'] });
-                
-                // FID (First Input Delay)
-                new PerformanceObserver((entryList) => {
-                    const entries = entryList.getEntries();
-                    entries.forEach(entry => {
-                        console.log('FID:', entry.processingStart - entry.startTime);
-                        this.sendAnalytics('fid', entry.processingStart - entry.startTime);
-                    });
-                }).observe({ entryTypes: ['first-input'] });
-                
-                // CLS (Cumulative Layout Shift)
-                let clsValue = 0;
-                new PerformanceObserver((entryList) => {
-                    const entries = entryList.getEntries();
-                    entries.forEach(entry => {
-                        if (!entry.hadRecentInput) {
-                            clsValue += entry.value;
-                        }
-                    });
-                    console.log('CLS:', clsValue);
-                    this.sendAnalytics('cls', clsValue);
-                }).observe({ entryTypes: ['layout-shift'] });
+            // FCP (First Contentful Paint)
+            this.observe('paint', entries => {
+                const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+                if (fcp) {
+                    this.report('FCP', fcp.startTime);
+                }
+            });
+            
+            // LCP (Largest Contentful Paint)，用户首次交互后不再变化
+            this.observe('largest-contentful-paint', entries => {
+                this.lcp = entries[entries.length - 1];
+            });
+            ['keydown', 'pointerdown'].forEach(type => {
+                window.addEventListener(type, () => this.reportLCP(), { once: true, capture: true });
+            });
+            
+            // CLS (Cumulative Layout Shift)，按会话窗口取最大值
+            this.observe('layout-shift', entries => {
+                entries.forEach(entry => this.addLayoutShift(entry));
+            });
+            
+            // INP (Interaction to Next Paint)
+            this.observe('event', entries => {
+                entries.forEach(entry => this.addInteraction(entry));
+            }, { durationThreshold: 40 });
+            this.observe('first-input', entries => {
+                entries.forEach(entry => this.addInteraction(entry));
+            });
+        }
+        
+        // buffered 保证能拿到脚本加载前已经产生的记录
+        observe(type, callback, options = {}) {
+            if (!('PerformanceObserver' in window) ||
+                !(PerformanceObserver.supportedEntryTypes || []).includes(type)) return;
+            
+            try {
+                new PerformanceObserver(list => callback(list.getEntries()))
+                    .observe(Object.assign({ type, buffered: true }, options));
+            } catch (error) {
+                // 浏览器不支持该类型时忽略
             }
         }
         
-        sendAnalytics(metric, value) {
-            // 发送到Google Analytics或其他分析服务
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'web_vitals', {
-                    metric_name: metric,
-                    metric_value: Math.round(value),
-                    custom_parameter: window.location.pathname
-                });
+        // 间隔不超过1秒、总长不超过5秒的偏移属于同一会话窗口
+        addLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
+            
+            const session = this.cls.session;
+            const first = session[0];
+            const last = session[session.length - 1];
+            
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                session.push(entry);
+                this.cls.sessionValue += entry.value;
+            } else {
+                this.cls.session = [entry];
+                this.cls.sessionValue = entry.value;
+            }
+            
+            if (this.cls.sessionValue > this.cls.value) {
+                this.cls.value = this.cls.sessionValue;
+                this.cls.entries = this.cls.session.slice();
+            }
+        }
+        
+        // 同一次交互的多个事件只保留耗时最长的
+        addInteraction(entry) {
+            if (!entry.interactionId) return;
+            
+            const current = this.interactions.get(entry.interactionId);
+            if (!current || entry.duration > current.duration) {
+                this.interactions.set(entry.interactionId, entry);
+            }
+        }
+        
+        reportLCP() {
+            if (!this.lcp) return;
+            
+            this.report('LCP', this.lcp.renderTime || this.lcp.startTime, this.lcp.element);
+        }
+        
+        reportCLS() {
+            // 取本会话窗口中偏移最大的元素作为归因
+            const largest = this.cls.entries.reduce((max, entry) => (!max || entry.value > max.value ? entry : max), null);
+            const source = largest && (largest.sources || []).find(item => item.node);
+            
+            this.report('CLS', this.cls.value, source && source.node);
+        }
+        
+        // 交互较多时每50次交互忽略一次最慢的，接近第98百分位
+        reportINP() {
+            if (!this.interactions.size) return;
+            
+            const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+            const entry = sorted[Math.min(sorted.length - 1, Math.floor(this.interactions.size / 50))];
+            
+            this.report('INP', entry.duration, entry.target, entry.name);
+        }
+        
+        finalize() {
+            this.reportLCP();
+            this.reportCLS();
+            this.reportINP();
+        }
+        
+        // 每个指标每次页面访问只发送一次
+        report(name, value, element, eventType) {
+            if (this.reported.has(name) || !Number.isFinite(value)) return;
+            this.reported.add(name);
+            
+            const rating = this.rate(name, value);
+            Debug.log(`${name}:`, value, rating);
+            
+            const params = {
+                metric_name: name,
+                metric_value: name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value),
+                metric_rating: rating,
+                custom_parameter: window.location.pathname
+            };
+            if (element) {
+                params.metric_element = this.describeElement(element);
+            }
+            if (eventType) {
+                params.metric_event = eventType;
+            }
+            
+            Analytics.track('web_vitals', params);
+        }
+        
+        rate(name, value) {
+            const [good, poor] = PerformanceMonitor.THRESHOLDS[name];
+            if (value <= good) return 'good';
+            return value <= poor ? 'needs-improvement' : 'poor';
+        }
+        
+        // 生成便于定位的元素描述，如 img#hero.hero-image
+        describeElement(element) {
+            if (!element || !element.tagName) return '';
+            
+            let description = element.tagName.toLowerCase();
+            if (element.id) {
+                description += `#${element.id}`;
+            }
+            const classes = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+            if (classes.length) {
+                description += '.' + classes.slice(0, 2).join('.');
             }
+            return description;
         }
     }
     
+    // 各指标的评级阈值：[good 上限, needs-improvement 上限]
+    PerformanceMonitor.THRESHOLDS = {
+        FCP: [1800, 3000],
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        TTFB: [800, 1800]
+    };
+    
     // SEO优化功能
+    // 页面注册表：每个页面的标题、描述、面包屑名称、上级页面和分享信息
+    const PageRegistry = {
+        source: 'assets/data/pages.json',
+        request: null,
+        
+        load: function() {
+            if (!this.request) {
+                this.request = fetch(utils.siteUrl(this.source))
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Page registry request failed: ${response.status}`);
+                        }
+                        return response.json();
+                    })
+                    .catch(error => {
+                        this.request = null;
+                        throw error;
+                    });
+            }
+            return this.request;
+        },
+        
+        // 取出页面在指定语言下的配置，并补全规范地址和分享图片
+        resolve: function(registry, id, lang) {
+            const page = registry.pages.find(item => item.id === id);
+            const language = registry.languages[lang];
+            if (!page || !page[lang] || !language) return null;
+            
+            return Object.assign({}, page[lang], {
+                id: page.id,
+                parent: page.parent,
+                locale: language.locale,
+                url: registry.origin + language.root + page.path,
+                image: registry.origin + (page.image || registry.image)
+            });
+        },
+        
+        // 沿上级页面向上生成面包屑，首页在最前
+        breadcrumbs: function(registry, id, lang) {
+            const trail = [];
+            const visited = new Set();
+            let entry = this.resolve(registry, id, lang);
+            
+            while (entry && !visited.has(entry.id)) {
+                visited.add(entry.id);
+                trail.unshift({ name: entry.label, url: entry.url });
+                entry = entry.parent ? this.resolve(registry, entry.parent, lang) : null;
+            }
+            
+            return trail;
+        },
+        
+        // 注册表字段与<head>中标签的对应关系
+        tags: function(entry) {
+            return [
+                { tag: 'meta', key: 'name', name: 'description', attribute: 'content', value: entry.description },
+                { tag: 'link', key: 'rel', name: 'canonical', attribute: 'href', value: entry.url },
+                { tag: 'meta', key: 'property', name: 'og:title', attribute: 'content', value: entry.og.title },
+                { tag: 'meta', key: 'property', name: 'og:description', attribute: 'content', value: entry.og.description },
+                { tag: 'meta', key: 'property', name: 'og:url', attribute: 'content', value: entry.url },
+                { tag: 'meta', key: 'property', name: 'og:image', attribute: 'content', value: entry.image },
+                { tag: 'meta', key: 'property', name: 'og:locale', attribute: 'content', value: entry.locale },
+                { tag: 'meta', key: 'name', name: 'twitter:title', attribute: 'content', value: entry.twitter.title },
+                { tag: 'meta', key: 'name', name: 'twitter:description', attribute: 'content', value: entry.twitter.description }
+            ].map(tag => Object.assign(tag, { selector: `${tag.tag}[${tag.key}="${tag.name}"]` }));
+        },
+        
+        // 对比页面中写死的标题和标签，返回与注册表不一致的项
+        compare: function(entry) {
+            const title = document.querySelector('title');
+            const results = [{ selector: 'title', expected: entry.title, actual: title ? title.textContent : null }];
+            
+            this.tags(entry).forEach(tag => {
+                const element = document.querySelector(tag.selector);
+                results.push({
+                    selector: tag.selector,
+                    expected: tag.value,
+                    actual: element ? element.getAttribute(tag.attribute) : null
+                });
+            });
+            
+            return results.filter(result => result.actual !== result.expected);
+        }
+    };
+    
     class SEOOptimizer {
         constructor() {
             this.init();
         }
         
         init() {
-            this.updateMetaTags();
-            this.addStructuredData();
+            this.applyPageRegistry();
             this.optimizeImages();
-            this.trackUserBehavior();
+            ConsentManager.whenGranted('analytics', () => this.trackUserBehavior());
         }
         
-        updateMetaTags() {
-            // 动态更新页面标题和描述
-            const currentPage = window.location.pathname;
-            const pageConfig = this.getPageConfig(currentPage);
+        // 注册表加载失败时保留页面中的静态标签
+        applyPageRegistry() {
+            const page = I18n.currentPage();
             
-            if (pageConfig) {
-                document.title = pageConfig.title;
-                
-                const metaDescription = document.querySelector('meta[name="description"]');
-                if (metaDescription) {
-                    metaDescription.setAttribute('content', pageConfig.description);
-                }
-            }
+            PageRegistry.load()
+                .then(registry => {
+                    const entry = PageRegistry.resolve(registry, page, I18n.lang);
+                    if (!entry) return;
+                    
+                    const drift = PageRegistry.compare(entry);
+                    if (drift.length) {
+                        Debug.warn('页面标签与注册表不一致:', drift);
+                    }
+                    
+                    this.updateMetaTags(entry);
+                    this.addStructuredData(PageRegistry.breadcrumbs(registry, page, I18n.lang));
+                })
+                .catch(error => ErrorReporter.capture(error, { context: 'pageRegistry' }));
         }
         
-        getPageConfig(path) {
-            const configs = {
-                '/': {
-                    title: '国际短信群发_国际短信收费_国际短信平台_国际短信通道-牛子通信官网',
-                    description: '牛子通信提供全球范围内的国际短信群发通道，通过高效、便捷、安全的群发平台，帮助您快速发送国际短信,实现企业与客户的高效营销。覆盖全球230个国家和地区。'
-                },
-                '/sms.html': {
-                    title: '国际短信服务_海外短信平台_全球短信通道-牛子通信',
-                    description: '专业的国际短信服务，支持验证码短信、营销短信、双向短信，覆盖全球230个国家和地区，99.9%到达率保证。'
-                }
-            };
+        updateMetaTags(entry) {
+            document.title = entry.title;
             
-            return configs[path];
+            PageRegistry.tags(entry).forEach(tag => {
+                let element = document.querySelector(tag.selector);
+                if (!element) {
+                    element = document.createElement(tag.tag);
+                    element.setAttribute(tag.key, tag.name);
+                    document.head.appendChild(element);
+                }
+                element.setAttribute(tag.attribute, tag.value);
+            });
         }
         
-        addStructuredData() {
+        addStructuredData(breadcrumbs) {
             // 添加面包屑结构化数据
-            const breadcrumbs = this.generateBreadcrumbs();
             if (breadcrumbs.length > 1) {
                 const script = document.createElement('script');
                 script.type = 'application/ld+json';
@@ -489,36 +6966,6 @@
             }
         }
         
-        generateBreadcrumbs() {
-            const path = window.location.pathname;
-            const segments = path.split('/').filter(segment => segment);
-            const breadcrumbs = [{ name: '首页', url: window.location.origin }];
-            
-            let currentPath = '';
-            segments.forEach(segment => {
-                currentPath += '/' + segment;
-                const name = this.getPageName(segment);
-                breadcrumbs.push({
-                    name: name,
-                    url: window.location.origin + currentPath
-                });
-            });
-            
-            return breadcrumbs;
-        }
-        
-        getPageName(segment) {
-            const names = {
-                'sms': '国际短信',
-                'voice': '国际语音',
-                'group-call': '语音群呼',
-                'web-call': '语音外呼',
-                'faq': '常见问题'
-            };
-            
-            return names[segment] || segment;
-        }
-        
         optimizeImages() {
             const images = document.querySelectorAll('img');
             images.forEach(img => {
@@ -535,42 +6982,443 @@
         }
         
         trackUserBehavior() {
-            // 跟踪用户滚动深度
-            let maxScroll = 0;
+            // 跟踪用户滚动深度，每个档位只记录一次
+            const milestones = [25, 50, 75, 100];
+            const reached = new Set();
             const trackScroll = utils.throttle(() => {
                 const scrollPercent = Math.round(
                     (window.scrollY / (document.body.scrollHeight - window.innerHeight)) * 100
                 );
                 
-                if (scrollPercent > maxScroll) {
-                    maxScroll = scrollPercent;
-                    
-                    // 发送滚动深度事件
-                    if (typeof gtag !== 'undefined' && scrollPercent % 25 === 0) {
-                        gtag('event', 'scroll_depth', {
-                            percent_scrolled: scrollPercent
+                milestones
+                    .filter(milestone => scrollPercent >= milestone && !reached.has(milestone))
+                    .forEach(milestone => {
+                        reached.add(milestone);
+                        Analytics.track('scroll_depth', {
+                            percent_scrolled: milestone
                         });
-                    }
-                }
+                    });
             }, 1000);
             
             window.addEventListener('scroll', trackScroll);
             
-            // 跟踪页面停留时间
-            let startTime = Date.now();
-            window.addEventListener('beforeunload', () => {
-                const timeSpent = Math.round((Date.now() - startTime) / 1000);
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'time_on_page', {
-                        value: timeSpent
-                    });
+            // 跟踪页面停留时间：每次页面隐藏时记录本次可见的秒数
+            let visibleSince = Date.now();
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    visibleSince = Date.now();
+                }
+            });
+            Analytics.onHidden(() => {
+                if (visibleSince === null) return;
+                
+                Analytics.track('time_on_page', {
+                    value: Math.round((Date.now() - visibleSince) / 1000)
+                });
+                visibleSince = null;
+            });
+        }
+    }
+    
+    // 离线支持：注册 Service Worker，提示离线状态和新版本
+    class OfflineSupport {
+        constructor() {
+            this.container = null;
+            this.offlineNotice = null;
+            this.updateNotice = null;
+            this.updating = false;
+            
+            this.init();
+        }
+        
+        init() {
+            window.addEventListener('online', () => this.updateStatus());
+            window.addEventListener('offline', () => this.updateStatus());
+            this.updateStatus();
+            
+            // 本地以 file:// 打开时浏览器不支持注册
+            if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+            
+            navigator.serviceWorker.register(utils.siteUrl('sw.js'))
+                .then(registration => this.watchUpdates(registration))
+                .catch(() => {});
+            
+            // 新版本接管页面后重新加载；首次安装时不刷新
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updating) {
+                    this.updating = false;
+                    window.location.reload();
+                }
+            });
+        }
+        
+        watchUpdates(registration) {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.promptUpdate(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                
+                worker.addEventListener('statechange', () => {
+                    // 已有旧版本在控制页面时才是更新
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.promptUpdate(worker);
+                    }
+                });
+            });
+        }
+        
+        getContainer() {
+            if (!this.container) {
+                this.container = document.createElement('div');
+                this.container.className = 'site-notices';
+                document.body.appendChild(this.container);
+            }
+            return this.container;
+        }
+        
+        updateStatus() {
+            if (navigator.onLine) {
+                if (this.offlineNotice) {
+                    this.offlineNotice.remove();
+                    this.offlineNotice = null;
                 }
+                return;
+            }
+            
+            if (this.offlineNotice) return;
+            
+            this.offlineNotice = document.createElement('div');
+            this.offlineNotice.className = 'site-notice site-notice-offline';
+            this.offlineNotice.setAttribute('role', 'status');
+            this.offlineNotice.textContent = I18n.t('offline.notice');
+            this.getContainer().appendChild(this.offlineNotice);
+        }
+        
+        promptUpdate(worker) {
+            if (this.updateNotice) return;
+            
+            this.updateNotice = document.createElement('div');
+            this.updateNotice.className = 'site-notice';
+            this.updateNotice.setAttribute('role', 'status');
+            this.updateNotice.innerHTML = `
+                <span>${I18n.t('update.available')}</span>
+                <button type="button" class="site-notice-action">${I18n.t('update.reload')}</button>
+            `;
+            
+            this.updateNotice.querySelector('button').addEventListener('click', () => {
+                this.updating = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            });
+            
+            this.getContainer().appendChild(this.updateNotice);
+        }
+    }
+    
+    // 客服在线时间：配置按客服所在时区填写，显示时换算为访客的当地时间
+    const SupportHours = {
+        week: 7 * 1440,
+        
+        // 展开为一周内的分钟区间，结束时间早于开始时间表示跨过午夜
+        intervals: function() {
+            const list = [];
+            siteConfig.supportHours.forEach(slot => {
+                const start = utils.toMinutes(slot.start);
+                const end = utils.toMinutes(slot.end);
+                if (start === null || end === null) return;
+                
+                slot.days.forEach(day => {
+                    const from = day * 1440 + start;
+                    list.push({ start: from, end: from + ((end - start + 1440) % 1440 || 1440) });
+                });
+            });
+            return list;
+        },
+        
+        // 当前是否在线，以及下次上线或下线的时间
+        // 按分钟差推算时间，不考虑客服时区一周内的夏令时切换
+        status: function(now = new Date()) {
+            const local = utils.localTime(now, siteConfig.supportTimeZone);
+            const current = local.day * 1440 + local.minutes;
+            const since = start => ((current - start) % this.week + this.week) % this.week;
+            const base = now.getTime() - now.getSeconds() * 1000 - now.getMilliseconds();
+            const at = minutes => new Date(base + minutes * 60000);
+            
+            const intervals = this.intervals();
+            const open = intervals.find(interval => since(interval.start) < interval.end - interval.start);
+            if (open) {
+                return { online: true, next: at(open.end - open.start - since(open.start)) };
+            }
+            
+            const waits = intervals.map(interval => this.week - since(interval.start));
+            return { online: false, next: waits.length ? at(Math.min(...waits)) : null };
+        },
+        
+        // 按访客时区列出每段客服时间：[{ days, start, end }]，星期从周一开始排列
+        schedule: function(now = new Date()) {
+            const local = utils.localTime(now, siteConfig.supportTimeZone);
+            const current = local.day * 1440 + local.minutes;
+            const base = now.getTime() - now.getSeconds() * 1000 - now.getMilliseconds();
+            
+            return siteConfig.supportHours.map(slot => {
+                const start = utils.toMinutes(slot.start);
+                const end = utils.toMinutes(slot.end);
+                if (start === null || end === null || !slot.days.length) return null;
+                
+                // 用该时段下一次开始的时间推算访客当地的星期偏移
+                const wait = ((slot.days[0] * 1440 + start - current) % this.week + this.week) % this.week;
+                const opens = new Date(base + wait * 60000);
+                const closes = new Date(opens.getTime() + ((end - start + 1440) % 1440 || 1440) * 60000);
+                const shift = opens.getDay() - slot.days[0];
+                
+                return {
+                    days: slot.days.map(day => (day + shift + 7) % 7).sort((a, b) => (a + 6) % 7 - (b + 6) % 7),
+                    start: opens,
+                    end: closes
+                };
+            }).filter(Boolean);
+        },
+        
+        dayName: function(day) {
+            // 2023年1月1日是周日
+            return new Intl.DateTimeFormat(I18n.lang, { weekday: 'short' }).format(new Date(2023, 0, 1 + day));
+        },
+        
+        formatTime: function(date, withDay) {
+            const options = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+            if (withDay) options.weekday = 'short';
+            return new Intl.DateTimeFormat(I18n.lang, options).format(date);
+        },
+        
+        timeZone: function() {
+            try {
+                return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+            } catch (error) {
+                return '';
+            }
+        }
+    };
+    
+    // 悬浮客服窗口：显示在线状态，填写咨询内容后转到 Telegram 或邮件，并在本地保存最近的咨询
+    class SupportWidget {
+        constructor() {
+            this.storageKey = 'supportEnquiries';
+            this.isOpen = false;
+            
+            this.init();
+        }
+        
+        init() {
+            if (!document.body || !siteConfig.supportHours.length) return;
+            
+            this.render();
+            this.updateStatus();
+            this.renderRecent();
+            
+            this.toggle.addEventListener('click', () => (this.isOpen ? this.close() : this.open()));
+            this.panel.querySelector('.support-close').addEventListener('click', () => this.close());
+            this.panel.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.close();
+            });
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit(e.submitter && e.submitter.value);
+            });
+            this.recent.addEventListener('click', (e) => this.onRecentClick(e));
+            
+            // 每分钟刷新在线状态
+            setInterval(() => this.updateStatus(), 60000);
+        }
+        
+        render() {
+            const page = I18n.currentPage();
+            const services = SupportWidget.SERVICES;
+            
+            this.widget = document.createElement('div');
+            this.widget.className = 'support-widget';
+            this.widget.innerHTML = `
+                <div class="support-panel" id="support-panel" role="dialog" aria-labelledby="support-title" hidden>
+                    <div class="support-header">
+                        <h2 id="support-title" class="support-title">${I18n.t('support.title')}</h2>
+                        <button type="button" class="support-close" aria-label="${I18n.t('support.close')}">×</button>
+                    </div>
+                    <p class="support-status"><span class="support-dot" aria-hidden="true"></span><span class="support-status-text"></span></p>
+                    <p class="support-hours-title"></p>
+                    <ul class="support-hours"></ul>
+                    <form class="support-form" data-form-handler="false" novalidate>
+                        <label for="support-service">${I18n.t('support.service')}</label>
+                        <select id="support-service" name="service">
+                            ${services.map(service => `<option value="${service}"${service === page ? ' selected' : ''}>${I18n.t(`support.service.${service}`)}</option>`).join('')}
+                        </select>
+                        <label for="support-countries">${I18n.t('support.countries')}</label>
+                        <input type="text" id="support-countries" name="countries" maxlength="200" autocomplete="off" placeholder="${I18n.t('support.countriesPlaceholder')}" aria-describedby="support-message">
+                        <label for="support-volume">${I18n.t('support.volume')}</label>
+                        <select id="support-volume" name="volume">
+                            ${SupportWidget.VOLUMES.map(volume => `<option value="${volume}">${I18n.t(`support.volume.${volume}`)}</option>`).join('')}
+                        </select>
+                        <p class="support-message" id="support-message" role="status" aria-live="polite"></p>
+                        <div class="support-actions">
+                            <button type="submit" class="btn btn-primary" value="telegram">${I18n.t('support.telegram')}</button>
+                            <button type="submit" class="btn btn-secondary" value="mailto">${I18n.t('support.email')}</button>
+                        </div>
+                    </form>
+                    <div class="support-recent" hidden>
+                        <h3 class="support-recent-title">${I18n.t('support.recent')}</h3>
+                        <ul class="support-recent-list"></ul>
+                        <button type="button" class="support-clear">${I18n.t('support.clear')}</button>
+                    </div>
+                </div>
+                <button type="button" class="support-toggle" aria-expanded="false" aria-controls="support-panel">
+                    <span class="support-dot" aria-hidden="true"></span>${I18n.t('support.open')}
+                </button>
+            `;
+            document.body.appendChild(this.widget);
+            
+            this.toggle = this.widget.querySelector('.support-toggle');
+            this.panel = this.widget.querySelector('.support-panel');
+            this.form = this.widget.querySelector('.support-form');
+            this.message = this.widget.querySelector('.support-message');
+            this.recent = this.widget.querySelector('.support-recent');
+        }
+        
+        open() {
+            this.isOpen = true;
+            this.panel.hidden = false;
+            this.toggle.setAttribute('aria-expanded', 'true');
+            this.updateStatus();
+            this.form.elements.countries.focus();
+        }
+        
+        close() {
+            if (!this.isOpen) return;
+            this.isOpen = false;
+            this.panel.hidden = true;
+            this.toggle.setAttribute('aria-expanded', 'false');
+            this.toggle.focus();
+        }
+        
+        updateStatus() {
+            const now = new Date();
+            const status = SupportHours.status(now);
+            const sameDay = status.next && status.next.toDateString() === now.toDateString();
+            const time = status.next ? SupportHours.formatTime(status.next, !sameDay) : '--';
+            
+            this.widget.classList.toggle('online', status.online);
+            this.panel.querySelector('.support-status-text').textContent =
+                I18n.t(status.online ? 'support.online' : 'support.offline', { time });
+            
+            this.panel.querySelector('.support-hours-title').textContent =
+                I18n.t('support.hoursTitle', { zone: SupportHours.timeZone() });
+            const list = this.panel.querySelector('.support-hours');
+            list.innerHTML = '';
+            SupportHours.schedule(now).forEach(entry => {
+                const item = document.createElement('li');
+                const days = entry.days.map(day => SupportHours.dayName(day)).join(I18n.t('list.separator'));
+                item.textContent = `${days} ${SupportHours.formatTime(entry.start)} - ${SupportHours.formatTime(entry.end)}`;
+                list.appendChild(item);
+            });
+        }
+        
+        submit(channel) {
+            const backend = channel === 'mailto' ? 'mailto' : 'telegram';
+            const elements = this.form.elements;
+            const enquiry = {
+                service: elements.service.value,
+                countries: elements.countries.value.trim(),
+                volume: elements.volume.value
+            };
+            
+            if (!enquiry.countries) {
+                this.message.textContent = I18n.t('support.countriesRequired');
+                elements.countries.setAttribute('aria-invalid', 'true');
+                elements.countries.focus();
+                return;
+            }
+            elements.countries.removeAttribute('aria-invalid');
+            
+            // 先保存记录：弹窗被拦截或使用邮件时当前页面仍可能跳转
+            this.remember(Object.assign({ channel: backend, time: Date.now() }, enquiry));
+            Analytics.track('support_handoff', { channel: backend, service: enquiry.service, volume: enquiry.volume });
+            FormBackends[backend](null, enquiry, this.summarize(enquiry));
+            this.message.textContent = I18n.t(backend === 'telegram' ? 'form.telegramOpened' : 'form.mailOpened');
+        }
+        
+        summarize(enquiry) {
+            const separator = I18n.t('label.separator');
+            return [
+                I18n.t('support.summary', { url: window.location.href }),
+                '',
+                `${I18n.t('support.service')}${separator}${I18n.t(`support.service.${enquiry.service}`)}`,
+                `${I18n.t('support.countries')}${separator}${enquiry.countries}`,
+                `${I18n.t('support.volume')}${separator}${I18n.t(`support.volume.${enquiry.volume}`)}`
+            ].join('\n');
+        }
+        
+        remember(enquiry) {
+            const history = utils.storage.get(this.storageKey, []);
+            history.unshift(enquiry);
+            utils.storage.set(this.storageKey, history.slice(0, SupportWidget.HISTORY_LIMIT));
+            this.renderRecent();
+        }
+        
+        renderRecent() {
+            const history = utils.storage.get(this.storageKey, []);
+            const list = this.recent.querySelector('.support-recent-list');
+            list.innerHTML = '';
+            this.recent.hidden = !history.length;
+            
+            const format = new Intl.DateTimeFormat(I18n.lang, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+            history.forEach((enquiry, index) => {
+                const item = document.createElement('li');
+                const text = document.createElement('span');
+                text.textContent = `${format.format(new Date(enquiry.time))} · ${I18n.t(`support.service.${enquiry.service}`)} · ${enquiry.countries}`;
+                
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'support-reuse';
+                button.setAttribute('data-index', index);
+                button.textContent = I18n.t('support.reuse');
+                
+                item.append(text, button);
+                list.appendChild(item);
+            });
+        }
+        
+        onRecentClick(e) {
+            if (e.target.closest('.support-clear')) {
+                utils.storage.remove(this.storageKey);
+                this.renderRecent();
+                this.form.elements.countries.focus();
+                return;
+            }
+            
+            const button = e.target.closest('.support-reuse');
+            if (!button) return;
+            
+            const enquiry = utils.storage.get(this.storageKey, [])[button.getAttribute('data-index')];
+            if (!enquiry) return;
+            
+            const elements = this.form.elements;
+            ['service', 'countries', 'volume'].forEach(name => {
+                if (enquiry[name]) elements[name].value = enquiry[name];
             });
+            this.message.textContent = '';
+            elements.countries.focus();
         }
     }
     
+    SupportWidget.SERVICES = ['sms', 'voice', 'group-call', 'web-call'];
+    SupportWidget.VOLUMES = ['small', 'medium', 'large', 'huge'];
+    SupportWidget.HISTORY_LIMIT = 5;
+    
     // 初始化所有功能
     function init() {
+        // 尽早开始监控错误，不等待DOM加载
+        Debug.init();
+        ErrorReporter.init();
+        
         // 等待DOM加载完成
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', initializeApp);
@@ -581,66 +7429,76 @@
     
     function initializeApp() {
         // 初始化各个模块
+        Analytics.init();
+        ConsentManager.init();
+        new LanguageSwitcher();
+        new ThemeSwitcher();
         new MobileMenu();
-        new TabSystem();
+        TabSystem.initAll();
+        new PricingTables();
+        new PricingFilter();
+        new CurrencySwitcher();
+        new SMSComposer();
+        new CampaignEstimator();
+        new ApiPlayground();
+        ClickToCall.initAll();
+        new FlowDesigner();
+        new FAQSearch();
+        Accordion.initAll();
         new LazyLoader();
         new FormHandler();
-        new PerformanceMonitor();
+        ConsentManager.whenGranted('analytics', () => new PerformanceMonitor());
         new SEOOptimizer();
+        new OfflineSupport();
         
-        // 添加平滑滚动
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function(e) {
-                e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
-                if (target) {
-                    utils.smoothScrollTo(target, 80);
-                }
-            });
+        // 页内锚点：滚动到目标并移动焦点，同时更新地址栏
+        document.addEventListener('click', (e) => {
+            const anchor = e.target.closest('a[href^="#"]');
+            if (!anchor || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            
+            const id = utils.hashId(anchor.hash);
+            const target = id && document.getElementById(id);
+            if (!target) return;
+            
+            e.preventDefault();
+            utils.focusTarget(target, 80);
+            
+            if (window.location.hash !== anchor.hash) {
+                const oldURL = window.location.href;
+                history.pushState(null, '', anchor.hash);
+                // pushState 不会触发 hashchange，手动通知标签页和折叠面板
+                window.dispatchEvent(new HashChangeEvent('hashchange', { oldURL, newURL: window.location.href }));
+            }
         });
         
         // 添加返回顶部功能
         const backToTop = document.createElement('button');
         backToTop.innerHTML = '↑';
         backToTop.className = 'back-to-top';
-        backToTop.setAttribute('aria-label', '返回顶部');
-        backToTop.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            width: 50px;
-            height: 50px;
-            border: none;
-            border-radius: 50%;
-            background: var(--primary-color);
-            color: white;
-            font-size: 20px;
-            cursor: pointer;
-            opacity: 0;
-            visibility: hidden;
-            transition: all 0.3s ease;
-            z-index: 1000;
-        `;
+        backToTop.setAttribute('aria-label', I18n.t('backToTop'));
         
         document.body.appendChild(backToTop);
         
         const toggleBackToTop = utils.throttle(() => {
-            if (window.scrollY > 300) {
-                backToTop.style.opacity = '1';
-                backToTop.style.visibility = 'visible';
-            } else {
-                backToTop.style.opacity = '0';
-                backToTop.style.visibility = 'hidden';
-            }
+            backToTop.classList.toggle('visible', window.scrollY > 300);
         }, 100);
         
         window.addEventListener('scroll', toggleBackToTop);
         
+        // 回到顶部后焦点移到主内容，避免停留在随即隐藏的按钮上
         backToTop.addEventListener('click', () => {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+            window.scrollTo({ top: 0, behavior: utils.scrollBehavior() });
+            const main = document.getElementById('main-content');
+            if (main) {
+                if (!main.hasAttribute('tabindex')) main.setAttribute('tabindex', '-1');
+                main.focus({ preventScroll: true });
+            }
         });
         
-        console.log('牛子通信网站已初始化完成');
+        // 悬浮客服窗口，位于返回顶部按钮旁边
+        new SupportWidget();
+        
+        Debug.log('牛子通信网站已初始化完成');
     }
     
     // 启动应用
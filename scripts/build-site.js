@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+// 站点构建脚本：检查所有页面，重新生成 sitemap.xml 并更新 Service Worker 的缓存版本
+// 用法：node scripts/build-site.js [--write]
+//   默认只检查页面，不写入任何文件
+//   --write  检查通过后重新生成 sitemap.xml 并写入 sw.js 的缓存版本，只在部署流程（.github/workflows/static.yml）中使用，
+//            仓库中保留 sitemap.xml 和占位的缓存版本，生成结果不要提交
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const REGISTRY = 'assets/data/pages.json';
+const MAIN_SCRIPT = 'assets/js/main.js';
+const SITEMAP = 'sitemap.xml';
+const SERVICE_WORKER = 'sw.js';
+
+// 必须加入 Service Worker 预缓存的静态资源
+const PRECACHE_REQUIRED = [/^assets\/css\/[^/]+\.css$/, /^assets\/images\/[^/]+\.svg$/, /^assets\/js\/main\.js$/];
+
+// 不参与检查的文件和目录
+const IGNORED_DIRS = new Set(['.git', '.github', 'node_modules', 'scripts']);
+const IGNORED_FILES = [/^google[0-9a-f]+\.html$/];
+
+// 结构化数据允许的 schema.org 类型及其必填属性
+const SCHEMA_TYPES = {
+    Organization: ['name'],
+    ContactPoint: ['contactType'],
+    OpeningHoursSpecification: ['dayOfWeek', 'opens', 'closes'],
+    Service: ['name', 'provider'],
+    WebSite: ['name', 'url'],
+    FAQPage: ['mainEntity'],
+    Question: ['name', 'acceptedAnswer'],
+    Answer: ['text'],
+    BreadcrumbList: ['itemListElement'],
+    ListItem: ['position', 'name']
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] || match;
+    });
+}
+
+// 用空白覆盖一段内容，保留换行以便报告行号
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
+
+function lineAt(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([^\s"'=<>`/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attributes;
+}
+
+// 解析页面：注释、脚本和样式内容不参与标签扫描
+function parsePage(file) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const scripts = [];
+    
+    let markup = source.replace(/<!--[\s\S]*?-->/g, blank);
+    markup = markup.replace(/(<script\b([^>]*)>)([\s\S]*?)(<\/script>)/gi, (match, open, attributes, body, close, offset) => {
+        scripts.push({ attributes: parseAttributes(attributes), body, line: lineAt(source, offset) });
+        return open + blank(body) + close;
+    });
+    markup = markup.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, body, close) => open + blank(body) + close);
+    
+    const tags = [];
+    const pattern = /<([a-z][a-z0-9-]*)(\s[^<>]*?)?\/?>/gi;
+    let match;
+    while ((match = pattern.exec(markup))) {
+        tags.push({
+            name: match[1].toLowerCase(),
+            attributes: parseAttributes(match[2] || ''),
+            line: lineAt(markup, match.index)
+        });
+    }
+    
+    const title = markup.match(/<title>([\s\S]*?)<\/title>/i);
+    
+    return {
+        file,
+        tags,
+        scripts,
+        title: title ? decodeEntities(title[1]) : null,
+        ids: new Set(tags.map(tag => tag.attributes.id || tag.attributes.name).filter(Boolean))
+    };
+}
+
+function findPages(dir = '') {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const file = path.posix.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return IGNORED_DIRS.has(entry.name) ? [] : findPages(file);
+            }
+            if (!entry.name.endsWith('.html') || IGNORED_FILES.some(pattern => pattern.test(entry.name))) {
+                return [];
+            }
+            return [file];
+        });
+}
+
+class Report {
+    constructor() {
+        this.problems = new Map();
+        this.count = 0;
+    }
+    
+    add(file, line, message) {
+        if (!this.problems.has(file)) {
+            this.problems.set(file, []);
+        }
+        this.problems.get(file).push({ line, message });
+        this.count++;
+    }
+    
+    print() {
+        const lines = [`页面检查失败，共 ${this.count} 个问题：`, ''];
+        this.problems.forEach((items, file) => {
+            lines.push(file);
+            items
+                .sort((a, b) => (a.line || 0) - (b.line || 0))
+                .forEach(item => lines.push(`  ${item.line ? `L${item.line}`.padEnd(6) : ''.padEnd(6)}${item.message}`));
+            lines.push('');
+        });
+        console.error(lines.join('\n'));
+    }
+}
+
+// 页面所属语言和页面id，如 en/sms.html -> en / sms
+function pageKey(registry, file) {
+    const languages = Object.keys(registry.languages)
+        .sort((a, b) => registry.languages[b].root.length - registry.languages[a].root.length);
+    const lang = languages.find(code => ('/' + file).startsWith(registry.languages[code].root));
+    const rest = ('/' + file).slice(registry.languages[lang].root.length);
+    return { lang, id: rest === 'index.html' ? 'index' : rest.replace(/\.html$/, '') };
+}
+
+// 与 main.js 中 PageRegistry.resolve 保持一致
+function resolveEntry(registry, id, lang) {
+    const page = registry.pages.find(item => item.id === id);
+    const language = registry.languages[lang];
+    if (!page || !page[lang] || !language) return null;
+    
+    return Object.assign({}, page[lang], {
+        url: registry.origin + language.root + page.path,
+        image: registry.origin + (page.image || registry.image),
+        locale: language.locale
+    });
+}
+
+// 与 main.js 中 PageRegistry.tags 保持一致
+function expectedTags(entry) {
+    return [
+        ['meta', 'name', 'description', 'content', entry.description],
+        ['link', 'rel', 'canonical', 'href', entry.url],
+        ['meta', 'property', 'og:title', 'content', entry.og.title],
+        ['meta', 'property', 'og:description', 'content', entry.og.description],
+        ['meta', 'property', 'og:url', 'content', entry.url],
+        ['meta', 'property', 'og:image', 'content', entry.image],
+        ['meta', 'property', 'og:locale', 'content', entry.locale],
+        ['meta', 'name', 'twitter:title', 'content', entry.twitter.title],
+        ['meta', 'name', 'twitter:description', 'content', entry.twitter.description]
+    ];
+}
+
+function checkRegistry(page, registry, report) {
+    const { lang, id } = pageKey(registry, page.file);
+    const entry = resolveEntry(registry, id, lang);
+    if (!entry) {
+        report.add(page.file, null, `页面未在 ${REGISTRY} 中登记（id: ${id}，语言: ${lang}）`);
+        return;
+    }
+    
+    if (page.title !== entry.title) {
+        report.add(page.file, null, `<title> 与注册表不一致：${JSON.stringify(page.title)}，应为 ${JSON.stringify(entry.title)}`);
+    }
+    
+    expectedTags(entry).forEach(([name, key, keyValue, attribute, expected]) => {
+        const tag = page.tags.find(item => item.name === name && item.attributes[key] === keyValue);
+        if (!tag) {
+            report.add(page.file, null, `缺少 <${name} ${key}="${keyValue}">`);
+        } else if (tag.attributes[attribute] !== expected) {
+            report.add(page.file, tag.line, `${keyValue} 与注册表不一致：${JSON.stringify(tag.attributes[attribute])}，应为 ${JSON.stringify(expected)}`);
+        }
+    });
+}
+
+// 把页面中的地址解析为站内文件；站外地址返回 null
+function resolveLink(file, url, origin) {
+    if (/^(mailto|tel|javascript|data):/i.test(url)) return null;
+    
+    let target = url;
+    if (/^(https?:)?\/\//i.test(url)) {
+        const parsed = new URL(url, origin);
+        if (parsed.origin !== origin) return null;
+        target = parsed.pathname + parsed.hash;
+    }
+    
+    const [pathPart, hash = ''] = target.split('#');
+    const cleanPath = pathPart.split('?')[0];
+    let resolved = cleanPath === ''
+        ? file
+        : cleanPath.startsWith('/')
+            ? cleanPath.slice(1)
+            : path.posix.join(path.posix.dirname(file), cleanPath);
+    
+    if (resolved === '.' || resolved === '' || cleanPath.endsWith('/')) {
+        resolved = path.posix.join(resolved === '.' ? '' : resolved, 'index.html');
+    }
+    
+    return { file: path.posix.normalize(resolved), hash: decodeURIComponent(hash) };
+}
+
+function checkLinks(page, pages, registry, report) {
+    page.tags.forEach(tag => {
+        ['href', 'src'].forEach(attribute => {
+            const url = tag.attributes[attribute];
+            if (url === undefined || url === '') return;
+            
+            const target = resolveLink(page.file, url, registry.origin);
+            if (!target) return;
+            
+            if (target.file.startsWith('..') || !fs.existsSync(path.join(ROOT, target.file))) {
+                report.add(page.file, tag.line, `链接目标不存在：${url}`);
+                return;
+            }
+            
+            if (target.hash && target.file.endsWith('.html')) {
+                const targetPage = pages.get(target.file);
+                if (targetPage && !targetPage.ids.has(target.hash)) {
+                    report.add(page.file, tag.line, `锚点不存在：${url}`);
+                }
+            }
+        });
+    });
+}
+
+// FAQ 分类卡片的 data-category 必须对应页面中的问题分组
+function checkCategories(page, report) {
+    const classes = tag => (tag.attributes.class || '').split(/\s+/);
+    const groups = new Set(page.tags
+        .filter(tag => classes(tag).includes('faq-category') && tag.attributes['data-category'])
+        .map(tag => tag.attributes['data-category']));
+    
+    page.tags
+        .filter(tag => classes(tag).includes('category-item') && 'data-category' in tag.attributes)
+        .forEach(tag => {
+            if (!groups.has(tag.attributes['data-category'])) {
+                report.add(page.file, tag.line, `分类 data-category="${tag.attributes['data-category']}" 没有对应的 .faq-category`);
+            }
+        });
+}
+
+function checkMainScript(page, registry, report) {
+    const loaded = page.tags.some(tag => {
+        if (tag.name !== 'script' || !tag.attributes.src) return false;
+        const target = resolveLink(page.file, tag.attributes.src, registry.origin);
+        return target && target.file === MAIN_SCRIPT;
+    });
+    
+    if (!loaded) {
+        report.add(page.file, null, `页面没有加载 ${MAIN_SCRIPT}`);
+    }
+}
+
+function checkSchemaNode(node, trail, report, page, line) {
+    if (Array.isArray(node)) {
+        node.forEach((item, index) => checkSchemaNode(item, `${trail}[${index}]`, report, page, line));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+    
+    if ('@type' in node) {
+        const types = [].concat(node['@type']);
+        types.forEach(type => {
+            if (!SCHEMA_TYPES[type]) {
+                report.add(page.file, line, `结构化数据 ${trail} 使用了未登记的类型 ${type}`);
+                return;
+            }
+            SCHEMA_TYPES[type]
+                .filter(property => node[property] === undefined || node[property] === '')
+                .forEach(property => report.add(page.file, line, `结构化数据 ${trail}（${type}）缺少 ${property}`));
+        });
+    }
+    
+    Object.keys(node)
+        .filter(key => key[0] !== '@')
+        .forEach(key => checkSchemaNode(node[key], `${trail}.${key}`, report, page, line));
+}
+
+function checkStructuredData(page, report) {
+    page.scripts
+        .filter(script => (script.attributes.type || '').toLowerCase() === 'application/ld+json')
+        .forEach(script => {
+            let data;
+            try {
+                data = JSON.parse(script.body);
+            } catch (error) {
+                report.add(page.file, script.line, `结构化数据不是合法的 JSON：${error.message}`);
+                return;
+            }
+            
+            [].concat(data).forEach((item, index) => {
+                const context = item && item['@context'];
+                if (!/^https?:\/\/schema\.org\/?$/.test(context || '')) {
+                    report.add(page.file, script.line, `结构化数据的 @context 应为 https://schema.org`);
+                }
+                if (!item || !item['@type']) {
+                    report.add(page.file, script.line, '结构化数据缺少 @type');
+                }
+                checkSchemaNode(item, Array.isArray(data) ? `[${index}]` : '$', report, page, script.line);
+            });
+        });
+}
+
+// 读取 sw.js 中 PRECACHE 列表，并解析为站内文件
+function readPrecache(registry) {
+    const source = fs.readFileSync(path.join(ROOT, SERVICE_WORKER), 'utf8');
+    const list = source.match(/const PRECACHE = \[([\s\S]*?)\];/);
+    const entries = list ? list[1].match(/'[^']*'/g) || [] : [];
+    
+    return {
+        source,
+        files: entries.map(entry => {
+            const url = entry.slice(1, -1);
+            return { url, file: resolveLink(SERVICE_WORKER, url, registry.origin).file };
+        })
+    };
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })
+        .flatMap(entry => {
+            const file = path.posix.join(dir, entry.name);
+            return entry.isDirectory() ? listFiles(file) : [file];
+        });
+}
+
+// 页面和静态资源都要预缓存，离线时才能完整打开
+function checkServiceWorker(precache, pages, report) {
+    const cached = new Set(precache.files.map(item => item.file));
+    
+    precache.files.forEach(item => {
+        if (!fs.existsSync(path.join(ROOT, item.file))) {
+            report.add(SERVICE_WORKER, null, `预缓存的文件不存在：${item.url}`);
+        }
+    });
+    
+    const required = [...pages.keys()].concat(listFiles('assets').filter(file => PRECACHE_REQUIRED.some(pattern => pattern.test(file))));
+    required
+        .filter(file => !cached.has(file))
+        .forEach(file => report.add(SERVICE_WORKER, null, `${file} 没有加入预缓存列表 PRECACHE`));
+}
+
+// 缓存版本取预缓存文件内容的摘要，任何文件变化都会生成新版本
+function cacheVersion(precache) {
+    const hash = crypto.createHash('sha256');
+    [...new Set(precache.files.map(item => item.file))].sort().forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+    });
+    return hash.digest('hex').slice(0, 8);
+}
+
+// 已提交的文件取最后一次提交时间，有未提交修改的取文件修改时间
+function lastModified(file) {
+    const absolute = path.join(ROOT, file);
+    try {
+        const dirty = execFileSync('git', ['status', '--porcelain', '--', file], { cwd: ROOT, encoding: 'utf8' }).trim();
+        const committed = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], { cwd: ROOT, encoding: 'utf8' }).trim();
+        if (!dirty && committed) {
+            return new Date(committed);
+        }
+    } catch (error) {
+        // 不在git仓库中时使用文件修改时间
+    }
+    return fs.statSync(absolute).mtime;
+}
+
+function formatDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function escapeXml(value) {
+    return value.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// 按注册表的语言和页面顺序生成站点地图，附带 hreflang 备用链接
+function buildSitemap(pages, registry) {
+    const urls = [];
+    
+    Object.keys(registry.languages).forEach(lang => {
+        registry.pages.forEach(item => {
+            const file = registry.languages[lang].root.slice(1) + (item.path || 'index.html');
+            const page = pages.get(file);
+            if (!page) return;
+            
+            const robots = page.tags.find(tag => tag.name === 'meta' && tag.attributes.name === 'robots');
+            if (robots && /noindex/i.test(robots.attributes.content)) return;
+            
+            const alternates = page.tags
+                .filter(tag => tag.name === 'link' && tag.attributes.rel === 'alternate' && tag.attributes.hreflang)
+                .map(tag => `  <xhtml:link rel="alternate" hreflang="${escapeXml(tag.attributes.hreflang)}" href="${escapeXml(tag.attributes.href)}"/>`);
+            
+            urls.push([
+                '<url>',
+                `  <loc>${escapeXml(resolveEntry(registry, item.id, lang).url)}</loc>`,
+                ...alternates,
+                `  <lastmod>${formatDate(lastModified(file))}</lastmod>`,
+                `  <priority>${item.id === 'index' ? '1.00' : '0.80'}</priority>`,
+                '</url>'
+            ].join('\n'));
+        });
+    });
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset',
+        '      xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '      xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        '<!-- 由 scripts/build-site.js 生成，请勿手动修改 -->',
+        '',
+        ...urls,
+        '',
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const write = process.argv.includes('--write');
+    const registry = JSON.parse(fs.readFileSync(path.join(ROOT, REGISTRY), 'utf8'));
+    const pages = new Map(findPages().map(file => [file, parsePage(file)]));
+    const precache = readPrecache(registry);
+    const report = new Report();
+    
+    pages.forEach(page => {
+        checkRegistry(page, registry, report);
+        checkLinks(page, pages, registry, report);
+        checkCategories(page, report);
+        checkMainScript(page, registry, report);
+        checkStructuredData(page, report);
+    });
+    
+    // 注册表中登记的页面必须存在
+    registry.pages.forEach(item => {
+        Object.keys(registry.languages)
+            .filter(lang => item[lang])
+            .forEach(lang => {
+                const file = registry.languages[lang].root.slice(1) + (item.path || 'index.html');
+                if (!pages.has(file)) {
+                    report.add(REGISTRY, null, `页面 ${item.id}（${lang}）对应的文件 ${file} 不存在`);
+                }
+            });
+    });
+    
+    checkServiceWorker(precache, pages, report);
+    
+    if (report.count) {
+        report.print();
+        process.exit(1);
+    }
+    
+    console.log(`已检查 ${pages.size} 个页面，未发现问题`);
+    
+    if (write) {
+        fs.writeFileSync(path.join(ROOT, SITEMAP), buildSitemap(pages, registry));
+        console.log(`已生成 ${SITEMAP}`);
+        
+        const version = cacheVersion(precache);
+        fs.writeFileSync(
+            path.join(ROOT, SERVICE_WORKER),
+            precache.source.replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`)
+        );
+        console.log(`已更新 ${SERVICE_WORKER} 缓存版本：${version}`);
+    }
+}
+
+main();
@@ -0,0 +1,102 @@
+// 牛子通信 Service Worker：预缓存页面和静态资源，弱网和离线时优先使用缓存
+// 仓库中的 CACHE_VERSION 是占位值，部署时由 scripts/build-site.js --write 替换为预缓存文件的内容哈希
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'niuzi-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// 预缓存列表，路径相对于本文件
+const PRECACHE = [
+    './',
+    './index.html',
+    './sms.html',
+    './voice.html',
+    './group-call.html',
+    './web-call.html',
+    './faq.html',
+    './privacy.html',
+    './en/',
+    './en/index.html',
+    './en/sms.html',
+    './en/voice.html',
+    './en/group-call.html',
+    './en/web-call.html',
+    './en/faq.html',
+    './en/privacy.html',
+    './assets/css/normalize.css',
+    './assets/css/style.css',
+    './assets/css/responsive.css',
+    './assets/js/main.js',
+    './assets/data/prices.json',
+    './assets/data/rates.json',
+    './assets/data/pages.json',
+    './assets/images/ai-call-icon.svg',
+    './assets/images/app-icon.svg',
+    './assets/images/feature-api.svg',
+    './assets/images/feature-global.svg',
+    './assets/images/feature-security.svg',
+    './assets/images/feature-stable.svg',
+    './assets/images/group-call-icon.svg',
+    './assets/images/logo.svg',
+    './assets/images/service-bidirectional.svg',
+    './assets/images/service-marketing.svg',
+    './assets/images/service-verification.svg',
+    './assets/images/voice-notification-icon.svg',
+    './assets/images/voice-verify-icon.svg',
+    './manifest.webmanifest'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE))
+    );
+});
+
+// 删除旧版本的缓存
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 用户在页面上确认刷新后才启用新版本
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// stale-while-revalidate：先返回缓存，同时从网络更新缓存
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // 页面忽略查询参数（如 ?q= 搜索词），避免同一页面缓存多份
+    const key = request.mode === 'navigate' ? url.pathname : request;
+
+    event.respondWith(caches.open(CACHE_NAME).then(cache => cache.match(key).then(cached => {
+        const network = fetch(request).then(response => {
+            if (response.ok) {
+                cache.put(key, response.clone());
+            }
+            return response;
+        });
+
+        if (cached) {
+            event.waitUntil(network.catch(() => {}));
+            return cached;
+        }
+
+        // 离线且没有缓存的页面退回到对应语言的首页
+        return network.catch(error => {
+            if (request.mode !== 'navigate') throw error;
+            return cache.match(url.pathname.startsWith('/en/') ? './en/index.html' : './index.html')
+                .then(fallback => fallback || Promise.reject(error));
+        });
+    })));
+});